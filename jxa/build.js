@@ -14,11 +14,16 @@ const BUILD_DIR = 'jxa/build';
 
 // Operation definitions
 const OPERATIONS = [
-  'add_todo', 'update_todo', 'get_todos',
-  'add_project', 'update_project', 'get_projects',
+  'add_todo', 'update_todo', 'get_todos', 'delete_todo', 'move_item', 'duplicate_item', 'update_matching',
+  'add_project', 'update_project', 'get_projects', 'delete_project',
+  'convert_to_project', 'convert_to_todo', 'merge_projects',
   'get_inbox', 'get_today', 'get_upcoming', 'get_anytime', 'get_someday',
-  'get_logbook', 'get_trash', 'search_todos', 'search_items', 'search_advanced',
-  'get_recent', 'show_item', 'get_tags', 'get_tagged_items', 'get_areas'
+  'get_logbook', 'log_completed', 'get_trash', 'restore_from_trash', 'empty_trash',
+  'search_todos', 'search_items', 'search_advanced',
+  'get_recent', 'show_item',
+  'get_tags', 'add_tag', 'update_tag', 'delete_tag', 'maintain_tags', 'get_tagged_items',
+  'get_areas', 'add_area', 'update_area', 'delete_area',
+  'things_json', 'batch'
 ];
 
 // Build configuration optimized for JXA
@@ -44,7 +49,7 @@ async function ensureDirectories() {
 }
 
 async function validateSourceFiles() {
-  const requiredFiles = ['main.js', 'utils.js', 'todos.js', 'projects.js', 'lists.js', 'search.js', 'tags.js', 'areas.js'];
+  const requiredFiles = ['main.js', 'utils.js', 'todos.js', 'projects.js', 'lists.js', 'search.js', 'tags.js', 'areas.js', 'headings.js', 'resolvers.js', 'json-import.js', 'batch.js'];
   
   for (const file of requiredFiles) {
     try {
@@ -2,7 +2,10 @@
  * Area operations for Things 3
  */
 
-import { mapArea, mapTodo } from './utils.js';
+import {
+  mapArea, mapTodo, getById, getItemType, formatTags, resolveNewTags, applyTagChanges
+} from './utils.js';
+import { resolveAreaByName } from './resolvers.js';
 
 export class AreaOperations {
   
@@ -33,4 +36,124 @@ export class AreaOperations {
       return mapped;
     });
   }
+  
+  /**
+   * Find an area by ID or name
+   */
+  static getArea(things, id, title) {
+    if (id) {
+      return getById(things.areas, id, 'Area');
+    }
+    
+    return resolveAreaByName(things, title);
+  }
+  
+  /**
+   * Add a new area
+   */
+  static add(things, params) {
+    // Batch entries skip the tool schema, so check the name here too
+    if (typeof params.name !== 'string' || !params.name.trim()) {
+      throw new Error('Area name is required and must be a non-empty string');
+    }
+    
+    // Resolve tags first so an unknown tag fails before anything is created
+    const tags = resolveNewTags(things, params);
+    
+    const area = things.Area({ name: params.name });
+    things.areas.push(area);
+    
+    // Set tags (convert array to comma-separated string)
+    if (tags.names.length > 0) {
+      area.tagNames = formatTags(tags.names);
+    }
+    
+    if (params.collapsed !== undefined) {
+      area.collapsed = params.collapsed;
+    }
+    
+    return mapArea(area);
+  }
+  
+  /**
+   * Update an existing area: rename, retag or collapse
+   */
+  static update(things, params) {
+    const area = getById(things.areas, params.id, 'Area');
+    
+    // Update tags first, so a rejected tag leaves the area untouched.
+    // Empty array means remove all tags
+    applyTagChanges(things, area, params);
+    
+    if (params.name !== undefined) {
+      area.name = params.name;
+    }
+    
+    if (params.collapsed !== undefined) {
+      area.collapsed = params.collapsed;
+    }
+    
+    return mapArea(area);
+  }
+  
+  /**
+   * Delete an area. Its projects and to-dos are either moved to another
+   * area (contents: 'move') or trashed along with it (contents: 'trash'). There
+   * is no default, so the caller always chooses.
+   */
+  static delete(things, params) {
+    const area = getById(things.areas, params.id, 'Area');
+    const contents = params.contents;
+    if (!contents) {
+      throw new Error('A contents option is required: move or trash');
+    }
+    
+    let target = null;
+    if (contents === 'move') {
+      if (!params.target_area_id && !params.target_area_title) {
+        throw new Error('Moving area contents requires target_area_id or target_area_title');
+      }
+      target = AreaOperations.getArea(things, params.target_area_id, params.target_area_title);
+      if (target.id() === area.id()) {
+        throw new Error('Cannot move area contents into the area being deleted');
+      }
+    } else if (contents !== 'trash') {
+      throw new Error(`Invalid contents option: ${contents}. Use 'move' or 'trash'`);
+    }
+    
+    // Map before deleting so the caller knows what was removed
+    const item = mapArea(area);
+    const summary = { action: contents, projects: [], todos: [] };
+    
+    // Handle the contents first so a failure leaves the area in place
+    for (const child of area.toDos()) {
+      const type = getItemType(child);
+      const entry = { id: child.id(), name: child.name() };
+      
+      try {
+        if (target) {
+          // Projects have to be re-fetched as projects to reassign their area
+          const movable = type === 'project' ? things.projects.byId(entry.id) : child;
+          movable.area = target;
+        } else {
+          things.delete(child);
+        }
+      } catch (e) {
+        throw new Error(
+          `Failed to ${contents} ${type} "${entry.name}" while deleting area ${item.name}: ${e.message}. ` +
+          `Area was not deleted; ${summary.projects.length + summary.todos.length} item(s) were already handled`
+        );
+      }
+      
+      summary[type === 'project' ? 'projects' : 'todos'].push(entry);
+    }
+    
+    if (target) {
+      summary.targetArea = { id: target.id(), name: target.name() };
+    }
+    
+    things.delete(area);
+    
+    return { deleted: true, item, contents: summary };
+  }
 }
\ No newline at end of file
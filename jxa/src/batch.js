@@ -0,0 +1,119 @@
+/**
+ * Batch operations for Things 3
+ *
+ * Runs several operations in one script execution, so a batch pays for
+ * starting osascript and loading the bundle only once.
+ */
+
+import { deferToURLScheme, takeDeferredCommands, takeWarnings } from './utils.js';
+
+// A whole string like "$0.id" or "$2.project.id": a value from an earlier entry's result
+const REFERENCE_PATTERN = /^\$(\d+)((?:\.[A-Za-z_]\w*)+)$/;
+
+export class BatchOperations {
+  
+  /**
+   * Run each entry ({ operation, params }) in order through dispatch. An
+   * entry that fails is reported and the rest still run. Returns
+   * { results, succeeded, failed } with one result per entry.
+   */
+  static run(things, params, dispatch) {
+    const entries = params.entries || [];
+    if (entries.length === 0) {
+      throw new Error('entries must contain at least one operation');
+    }
+    
+    const results = [];
+    const deferred = [];
+    
+    entries.forEach((entry, index) => {
+      const result = { index, operation: entry.operation };
+      try {
+        if (entry.operation === 'batch') {
+          throw new Error('A batch cannot contain another batch');
+        }
+        
+        const entryParams = BatchOperations.resolveReferences(entry.params || {}, results);
+        result.data = dispatch(things, entry.operation, {
+          ...entryParams,
+          operation: entry.operation,
+          url_scheme_enabled: params.url_scheme_enabled,
+          unknown_tag_policy: params.unknown_tag_policy
+        });
+        result.success = true;
+        
+        // Keep what the entry handed over to the URL scheme
+        deferred.push(...takeDeferredCommands());
+      } catch (e) {
+        result.success = false;
+        result.error = e.message || String(e);
+        
+        // Nothing deferred by a failed entry should be sent
+        takeDeferredCommands();
+      }
+      
+      const warnings = takeWarnings();
+      if (result.success && warnings.length > 0) {
+        result.warnings = warnings;
+      }
+      results.push(result);
+    });
+    
+    deferred.forEach(command => deferToURLScheme(command.command, command.params));
+    
+    const succeeded = results.filter(result => result.success).length;
+    return { results, succeeded, failed: results.length - succeeded };
+  }
+  
+  /**
+   * Replace "$N.path" strings anywhere in params with the value at path in
+   * the result of entry N, which must have run and succeeded and hold a
+   * value there (not null, as a pending item's id is)
+   */
+  static resolveReferences(value, results) {
+    if (Array.isArray(value)) {
+      return value.map(item => BatchOperations.resolveReferences(item, results));
+    }
+    
+    if (value && typeof value === 'object') {
+      const resolved = {};
+      for (const [key, item] of Object.entries(value)) {
+        resolved[key] = BatchOperations.resolveReferences(item, results);
+      }
+      return resolved;
+    }
+    
+    const match = typeof value === 'string' ? value.match(REFERENCE_PATTERN) : null;
+    if (!match) {
+      return value;
+    }
+    
+    const source = results[Number(match[1])];
+    if (!source) {
+      throw new Error(`${value} refers to an entry that has not run yet`);
+    }
+    if (!source.success) {
+      throw new Error(`${value} refers to entry ${source.index}, which failed`);
+    }
+    
+    let resolved = source.data;
+    for (const key of match[2].slice(1).split('.')) {
+      resolved = resolved !== null && resolved !== undefined ? resolved[key] : undefined;
+    }
+    if (resolved === undefined) {
+      throw new Error(`${value} does not exist in the result of entry ${source.index}`);
+    }
+    
+    // Items handed over to the URL scheme are created after the script returns
+    if (resolved === null) {
+      if (source.data.pending) {
+        throw new Error(
+          `${value} refers to entry ${source.index}, which is pending in Things and has no ID yet. ` +
+          'Run this entry in a later call'
+        );
+      }
+      throw new Error(`${value} is empty in the result of entry ${source.index}`);
+    }
+    return resolved;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Heading support for Things 3
+ *
+ * Things' scripting dictionary has no heading class and its move command
+ * only takes lists, so headings cannot be read or targeted from JXA. Filing a
+ * to-do under a heading goes through the URL scheme's update command, and
+ * new headings can only be made together with a new project through the json
+ * command.
+ */
+
+import { addWarning, deferToURLScheme, resolveNewTags } from './utils.js';
+
+/**
+ * Throw before anything changes if a heading was asked for but the URL
+ * scheme, which files to-dos under headings, is not set up
+ */
+export function requireHeadingSupport(params) {
+  if (params.heading && !params.url_scheme_enabled) {
+    throw new Error(
+      'Filing a to-do under a heading needs the Things URL scheme auth token. ' +
+      'Add it in the extension settings, or leave out heading.'
+    );
+  }
+}
+
+/**
+ * File a todo under a heading of a project through the URL scheme. Things
+ * applies it after the script returns and leaves the todo outside any
+ * heading if the project has no heading with that title. Neither can be
+ * checked from here, so a warning says so.
+ */
+export function fileUnderHeading(todo, project, name, params) {
+  requireHeadingSupport({ ...params, heading: name });
+  deferToURLScheme('update', { id: todo.id(), list_id: project.id(), heading: name.trim() });
+  addWarning(
+    'heading',
+    'Placement under the heading is unverified; Things files the to-do outside any heading if the project has none with this title',
+    name.trim()
+  );
+}
+
+/**
+ * Things JSON when value for add params, with the reminder time if any
+ */
+function jsonWhen(params) {
+  if (!params.activation_date) {
+    return undefined;
+  }
+  return params.reminder_time ? `${params.activation_date}@${params.reminder_time}` : params.activation_date;
+}
+
+/**
+ * Things JSON attributes shared by to-dos and projects, without the unset ones
+ */
+function jsonAttributes(things, params) {
+  const tags = resolveNewTags(things, params).names;
+  const attributes = {
+    title: params.name,
+    notes: params.notes || undefined,
+    when: jsonWhen(params),
+    deadline: params.due_date || undefined,
+    tags: tags.length > 0 ? tags : undefined,
+    completed: params.completed === true || undefined,
+    canceled: params.canceled === true || undefined
+  };
+  
+  for (const key of Object.keys(attributes)) {
+    if (attributes[key] === undefined) {
+      delete attributes[key];
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Things JSON to-do item for add_todo params. Checklist items come from
+ * child_tasks (titles) or checklist ({ title, completed }).
+ */
+function todoJSON(things, params) {
+  const attributes = jsonAttributes(things, params);
+  const checklist = params.checklist || (params.child_tasks || []).map(title => ({ title }));
+  if (checklist.length > 0) {
+    attributes['checklist-items'] = checklist.map(item => ({
+      type: 'checklist-item',
+      attributes: { title: item.title, ...(item.completed && { completed: true }) }
+    }));
+  }
+  return { type: 'to-do', attributes };
+}
+
+/**
+ * Create a new project with headings through the URL scheme's json command,
+ * which needs no auth token. entries are in display order, each a heading
+ * ({ type: 'heading', name, archived }) or add_todo params. Things creates
+ * the project after the script returns, so there is no ID to report. A to-do
+ * entry that cannot be converted is passed to onError(error, index) and left
+ * out. Returns the Things JSON project item that was handed over.
+ */
+export function deferProjectWithHeadings(things, params, entries, onError) {
+  const items = [];
+  entries.forEach((entry, index) => {
+    if (entry.type === 'heading') {
+      items.push({
+        type: 'heading',
+        attributes: { title: entry.name.trim(), ...(entry.archived && { archived: true }) }
+      });
+      return;
+    }
+    
+    try {
+      items.push(todoJSON(things, entry));
+    } catch (e) {
+      onError(e, index);
+    }
+  });
+  
+  const attributes = jsonAttributes(things, params);
+  if (params.area_id) {
+    attributes['area-id'] = params.area_id;
+  }
+  
+  const project = { type: 'project', attributes: { ...attributes, items } };
+  deferToURLScheme('json', { data: [project] });
+  return project;
+}
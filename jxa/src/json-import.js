@@ -0,0 +1,195 @@
+/**
+ * Things JSON import for Things 3
+ *
+ * Runs payloads in the Things JSON format, already validated and turned into
+ * operations by the server, through the regular todo and project operations
+ * so that the created items' IDs can be reported back.
+ */
+
+import { getById, writeChecklistItems } from './utils.js';
+import { TodoOperations } from './todos.js';
+import { ProjectOperations } from './projects.js';
+import { AreaOperations } from './areas.js';
+import { deferProjectWithHeadings } from './headings.js';
+
+export class JSONImportOperations {
+  
+  /**
+   * Run all operations in order. An item that fails is reported with its
+   * position and the rest still run; a failed project skips its items.
+   * Returns { ids, items, errors } where ids maps positions to IDs.
+   */
+  static run(things, params) {
+    const context = {
+      shared: {
+        url_scheme_enabled: params.url_scheme_enabled,
+        unknown_tag_policy: params.unknown_tag_policy
+      },
+      ids: {},
+      items: [],
+      errors: []
+    };
+    
+    for (const operation of params.data || []) {
+      JSONImportOperations.runItem(things, operation, context);
+    }
+    
+    return { ids: context.ids, items: context.items, errors: context.errors };
+  }
+  
+  /**
+   * Run one operation, recording its ID or its error. A created project's
+   * items run after the project is recorded.
+   */
+  static runItem(things, operation, context, project = null) {
+    if (operation.items && operation.items.some(child => child.type === 'heading')) {
+      JSONImportOperations.deferProject(things, operation, context);
+      return;
+    }
+    
+    let item;
+    try {
+      item = operation.type === 'project'
+        ? JSONImportOperations.runProject(things, operation, context)
+        : JSONImportOperations.runTodo(things, operation, context, project);
+    } catch (e) {
+      context.errors.push({ position: operation.position, message: e.message || String(e) });
+      return;
+    }
+    
+    JSONImportOperations.record(context, operation, item);
+    if (operation.items) {
+      JSONImportOperations.runProjectItems(things, item, operation.items, context);
+    }
+  }
+  
+  /**
+   * Record the item created or updated for an operation
+   */
+  static record(context, operation, item) {
+    context.ids[operation.position] = item.id();
+    context.items.push({
+      position: operation.position,
+      type: operation.type,
+      operation: operation.operation,
+      id: item.id(),
+      name: item.name()
+    });
+  }
+  
+  /**
+   * Create or update a todo, inside the given project if any
+   */
+  static runTodo(things, operation, context, project) {
+    const { checklist, checklist_mode: checklistMode, ...params } = operation.params;
+    const settings = { ...params, ...context.shared };
+    
+    let todo;
+    if (operation.operation === 'update') {
+      TodoOperations.update(things, { ...settings, id: operation.id });
+      if (params.list_id || params.list_title || params.heading) {
+        TodoOperations.move(things, {
+          id: operation.id,
+          list_id: params.list_id,
+          list_title: params.list_title,
+          heading: params.heading,
+          ...context.shared
+        });
+      }
+      todo = getById(things.toDos, operation.id, 'Todo');
+    } else {
+      const placement = project
+        ? { list_id: project.id(), list_title: undefined, heading: undefined }
+        : {};
+      todo = things.toDos.byId(TodoOperations.add(things, { ...settings, ...placement }).id);
+      JSONImportOperations.setStatus(todo, params);
+    }
+    
+    if (checklist) {
+      writeChecklistItems(todo, checklist, checklistMode, context.shared.url_scheme_enabled);
+    }
+    return todo;
+  }
+  
+  /**
+   * Create or update a project
+   */
+  static runProject(things, operation, context) {
+    const params = { ...operation.params, ...context.shared };
+    
+    if (operation.operation === 'update') {
+      ProjectOperations.update(things, { ...params, id: operation.id });
+      const project = getById(things.projects, operation.id, 'Project');
+      if (params.area_id || params.area_title) {
+        project.area = AreaOperations.getArea(things, params.area_id, params.area_title);
+      }
+      return project;
+    }
+    
+    const project = things.projects.byId(ProjectOperations.add(things, params).id);
+    JSONImportOperations.setStatus(project, params);
+    return project;
+  }
+  
+  /**
+   * Create a new project's todos in order
+   */
+  static runProjectItems(things, project, items, context) {
+    for (const child of items) {
+      JSONImportOperations.runItem(things, child, context, project);
+    }
+  }
+  
+  /**
+   * Hand a new project with headings to the URL scheme's json command, the
+   * only way to create headings. Things creates it after the script returns,
+   * so the project and its items are recorded as pending, without IDs.
+   */
+  static deferProject(things, operation, context) {
+    const failed = new Set();
+    const fail = (item, e) => {
+      failed.add(item.position);
+      context.errors.push({ position: item.position, message: e.message || String(e) });
+    };
+    
+    try {
+      const params = { ...operation.params, ...context.shared };
+      const area = params.area_id || params.area_title
+        ? AreaOperations.getArea(things, params.area_id, params.area_title)
+        : null;
+      const entries = operation.items.map(child => (child.type === 'heading'
+        ? { type: 'heading', name: child.params.name, archived: child.params.archived }
+        : { ...child.params, ...context.shared }));
+      
+      deferProjectWithHeadings(things, { ...params, area_id: area ? area.id() : undefined }, entries,
+        (e, index) => fail(operation.items[index], e));
+    } catch (e) {
+      fail(operation, e);
+      return;
+    }
+    
+    for (const item of [operation, ...operation.items]) {
+      if (!failed.has(item.position)) {
+        context.items.push({
+          position: item.position,
+          type: item.type,
+          operation: item.operation,
+          id: null,
+          name: item.params.name,
+          pending: true
+        });
+      }
+    }
+  }
+  
+  /**
+   * Complete or cancel a newly created item
+   */
+  static setStatus(item, params) {
+    if (params.completed === true) {
+      item.status = 'completed';
+    } else if (params.canceled === true) {
+      item.status = 'canceled';
+    }
+  }
+}
@@ -2,7 +2,10 @@
  * List operations for Things 3 (Inbox, Today, etc.)
  */
 
-import { mapTodo, safeGetList, LIST_IDS } from './utils.js';
+import {
+  mapTodo, mapProject, safeGetList, getItemType, resolveList, confirmationToken, LIST_IDS
+} from './utils.js';
+import { TodoOperations } from './todos.js';
 
 export class ListOperations {
   
@@ -86,6 +89,18 @@ export class ListOperations {
     return limited.map(mapTodo);
   }
   
+  /**
+   * Move completed and canceled items into the Logbook now rather than at
+   * Things' next scheduled cleanup. Returns how many items were logged.
+   */
+  static logCompleted(things, params) {
+    const before = safeGetList(things, LIST_IDS.LOGBOOK).length;
+    things.logCompletedNow();
+    const after = safeGetList(things, LIST_IDS.LOGBOOK).length;
+    
+    return { logged: Math.max(0, after - before) };
+  }
+  
   /**
    * Get trash
    */
@@ -93,4 +108,118 @@ export class ListOperations {
     const trash = safeGetList(things, LIST_IDS.TRASH);
     return trash.map(mapTodo);
   }
+  
+  /**
+   * Restore trashed todos or projects to a list, project or area.
+   * Todos default to the Inbox, projects to Anytime.
+   */
+  static restoreFromTrash(things, params) {
+    const target = resolveList(things, params);
+    if (target && target.type === 'list' && target.list.id() === LIST_IDS.TRASH) {
+      throw new Error('Cannot restore items to the Trash');
+    }
+    
+    const trashedIds = new Set(safeGetList(things, LIST_IDS.TRASH).map(item => item.id()));
+    
+    const restored = [];
+    const errors = [];
+    
+    for (const id of params.ids) {
+      try {
+        if (!trashedIds.has(id)) {
+          throw new Error(`Item with id ${id} is not in the Trash`);
+        }
+        
+        const item = things.toDos.byId(id);
+        if (getItemType(item) === 'project') {
+          const project = things.projects.byId(id);
+          ListOperations.restoreProject(things, project, target);
+          restored.push({ type: 'project', ...mapProject(project) });
+        } else if (target) {
+          // Projects and areas are assigned rather than moved to
+          restored.push(TodoOperations.move(things, { id, list_id: target.list.id() }));
+        } else {
+          things.move(item, { to: things.lists.byId(LIST_IDS.INBOX) });
+          restored.push({ type: 'todo', ...mapTodo(item) });
+        }
+      } catch (e) {
+        errors.push({ id, message: e.message || String(e) });
+      }
+    }
+    
+    return { restored, errors };
+  }
+  
+  /**
+   * Move a trashed project out of the Trash, optionally into an area
+   */
+  static restoreProject(things, project, target) {
+    if (target && target.type === 'project') {
+      throw new Error('A project cannot be restored into another project');
+    }
+    
+    if (target && target.type === 'list') {
+      things.move(project, { to: target.list });
+    } else {
+      things.move(project, { to: things.lists.byId(LIST_IDS.ANYTIME) });
+    }
+    
+    if (target && target.type === 'area') {
+      project.area = target.list;
+    }
+  }
+  
+  /**
+   * Empty the Trash.
+   * Without a matching confirmation token this only returns a preview of what
+   * would be permanently deleted, together with the token to confirm it.
+   * Things can only empty the whole Trash, so older_than_days only counts the
+   * items trashed a while ago; the preview still lists everything.
+   */
+  static emptyTrash(things, params) {
+    const trash = safeGetList(things, LIST_IDS.TRASH);
+    const token = confirmationToken(trash.map(item => item.id()));
+    
+    if (params.confirmation_token && params.confirmation_token === token) {
+      things.emptyTrash();
+      return {
+        emptied: true,
+        count: trash.length
+      };
+    }
+    
+    const items = trash.map(item => ({
+      id: item.id(),
+      name: item.name(),
+      type: getItemType(item),
+      modificationDate: item.modificationDate()
+    }));
+    
+    let notice = `Confirming permanently deletes all ${items.length} item(s) in the Trash`;
+    let olderThanDays;
+    if (params.older_than_days) {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - params.older_than_days);
+      const count = items.filter(item => item.modificationDate && item.modificationDate <= cutoffDate).length;
+      olderThanDays = { days: params.older_than_days, count };
+      notice += `, not only the ${count} trashed at least ${params.older_than_days} days ago`;
+    }
+    
+    return {
+      emptied: false,
+      tokenMismatch: Boolean(params.confirmation_token),
+      total: items.length,
+      todos: items.filter(item => item.type === 'todo').length,
+      projects: items.filter(item => item.type === 'project').length,
+      ...(olderThanDays && { olderThanDays }),
+      notice,
+      items: items.map(item => ({
+        id: item.id,
+        name: item.name,
+        type: item.type,
+        modificationDate: item.modificationDate ? item.modificationDate.toISOString() : null
+      })),
+      confirmationToken: token
+    };
+  }
 }
\ No newline at end of file
@@ -9,6 +9,117 @@ import { ListOperations } from './lists.js';
 import { SearchOperations } from './search.js';
 import { TagOperations } from './tags.js';
 import { AreaOperations } from './areas.js';
+import { JSONImportOperations } from './json-import.js';
+import { BatchOperations } from './batch.js';
+import { takeDeferredCommands, takeWarnings } from './utils.js';
+
+/**
+ * Route an operation to its handler and return the handler's result
+ */
+function dispatch(things, operation, params) {
+  switch (operation) {
+    // Todo operations
+    case 'add_todo':
+      return TodoOperations.add(things, params);
+    case 'update_todo':
+      return TodoOperations.update(things, params);
+    case 'get_todos':
+      return TodoOperations.getAll(things, params);
+    case 'move_item':
+      return TodoOperations.move(things, params);
+    case 'update_matching':
+      return TodoOperations.updateMatching(things, params);
+    case 'duplicate_item':
+      return TodoOperations.duplicate(things, params);
+    case 'delete_todo':
+      return TodoOperations.delete(things, params);
+    case 'convert_to_project':
+      return TodoOperations.convertToProject(things, params);
+    
+    // Project operations
+    case 'add_project':
+      return ProjectOperations.add(things, params);
+    case 'update_project':
+      return ProjectOperations.update(things, params);
+    case 'convert_to_todo':
+      return ProjectOperations.convertToTodo(things, params);
+    case 'merge_projects':
+      return ProjectOperations.merge(things, params);
+    case 'get_projects':
+      return ProjectOperations.getAll(things, params);
+    case 'delete_project':
+      return ProjectOperations.delete(things, params);
+    
+    // List operations (inbox, today, etc.)
+    case 'get_inbox':
+      return ListOperations.getInbox(things, params);
+    case 'get_today':
+      return ListOperations.getToday(things, params);
+    case 'get_upcoming':
+      return ListOperations.getUpcoming(things, params);
+    case 'get_anytime':
+      return ListOperations.getAnytime(things, params);
+    case 'get_someday':
+      return ListOperations.getSomeday(things, params);
+    case 'get_logbook':
+      return ListOperations.getLogbook(things, params);
+    case 'log_completed':
+      return ListOperations.logCompleted(things, params);
+    case 'get_trash':
+      return ListOperations.getTrash(things, params);
+    case 'restore_from_trash':
+      return ListOperations.restoreFromTrash(things, params);
+    case 'empty_trash':
+      return ListOperations.emptyTrash(things, params);
+    
+    // Search operations
+    case 'search_todos':
+      return SearchOperations.searchTodos(things, params);
+    case 'search_items':
+      return SearchOperations.searchItems(things, params);
+    case 'search_advanced':
+      return SearchOperations.searchAdvanced(things, params);
+    case 'get_recent':
+      return SearchOperations.getRecent(things, params);
+    case 'show_item':
+      return SearchOperations.showItem(things, params);
+    
+    // Tag operations
+    case 'get_tags':
+      return TagOperations.getAll(things, params);
+    case 'add_tag':
+      return TagOperations.add(things, params);
+    case 'update_tag':
+      return TagOperations.update(things, params);
+    case 'delete_tag':
+      return TagOperations.delete(things, params);
+    case 'maintain_tags':
+      return TagOperations.maintain(things, params);
+    case 'get_tagged_items':
+      return TagOperations.getTaggedItems(things, params);
+    
+    // Area operations
+    case 'get_areas':
+      return AreaOperations.getAll(things, params);
+    case 'add_area':
+      return AreaOperations.add(things, params);
+    case 'update_area':
+      return AreaOperations.update(things, params);
+    case 'delete_area':
+      return AreaOperations.delete(things, params);
+    
+    // Things JSON import
+    case 'things_json':
+      return JSONImportOperations.run(things, params);
+    
+    // Several operations in one script run
+    case 'batch':
+      return BatchOperations.run(things, params, dispatch);
+    
+    default:
+      throw new Error(`Unknown operation: ${operation}`);
+  }
+}
 
 // Global entry point for JXA
 function run(argv) {
@@ -22,95 +133,24 @@ function run(argv) {
     things.includeStandardAdditions = false;
     
     // Route to appropriate operation handler
-    let result;
-    
-    switch (operation) {
-      // Todo operations
-      case 'add_todo':
-        result = TodoOperations.add(things, params);
-        break;
-      case 'update_todo':
-        result = TodoOperations.update(things, params);
-        break;
-      case 'get_todos':
-        result = TodoOperations.getAll(things, params);
-        break;
-        
-      // Project operations
-      case 'add_project':
-        result = ProjectOperations.add(things, params);
-        break;
-      case 'update_project':
-        result = ProjectOperations.update(things, params);
-        break;
-      case 'get_projects':
-        result = ProjectOperations.getAll(things, params);
-        break;
-        
-      // List operations (inbox, today, etc.)
-      case 'get_inbox':
-        result = ListOperations.getInbox(things, params);
-        break;
-      case 'get_today':
-        result = ListOperations.getToday(things, params);
-        break;
-      case 'get_upcoming':
-        result = ListOperations.getUpcoming(things, params);
-        break;
-      case 'get_anytime':
-        result = ListOperations.getAnytime(things, params);
-        break;
-      case 'get_someday':
-        result = ListOperations.getSomeday(things, params);
-        break;
-      case 'get_logbook':
-        result = ListOperations.getLogbook(things, params);
-        break;
-      case 'get_trash':
-        result = ListOperations.getTrash(things, params);
-        break;
-        
-      // Search operations
-      case 'search_todos':
-        result = SearchOperations.searchTodos(things, params);
-        break;
-      case 'search_items':
-        result = SearchOperations.searchItems(things, params);
-        break;
-      case 'search_advanced':
-        result = SearchOperations.searchAdvanced(things, params);
-        break;
-      case 'get_recent':
-        result = SearchOperations.getRecent(things, params);
-        break;
-      case 'show_item':
-        result = SearchOperations.showItem(things, params);
-        break;
-        
-      // Tag operations
-      case 'get_tags':
-        result = TagOperations.getAll(things, params);
-        break;
-      case 'get_tagged_items':
-        result = TagOperations.getTaggedItems(things, params);
-        break;
-        
-      // Area operations
-      case 'get_areas':
-        result = AreaOperations.getAll(things, params);
-        break;
-        
-      default:
-        throw new Error(`Unknown operation: ${operation}`);
-    }
+    const result = dispatch(things, operation, params);
     
-    // Return success response
+    // Return success response, with any work handed over to the URL scheme
+    // and any steps that were skipped or only partly applied
+    const deferred = takeDeferredCommands();
+    const warnings = takeWarnings();
     return JSON.stringify({
       success: true,
-      data: result
+      data: result,
+      ...(deferred.length > 0 && { deferred }),
+      ...(warnings.length > 0 && { warnings })
     });
-    
+  
   } catch (error) {
+    // Nothing deferred by a failed operation should be sent
+    takeDeferredCommands();
+    takeWarnings();
+    
     // Return error response
     return JSON.stringify({
       success: false,
@@ -2,7 +2,15 @@
  * Project operations for Things 3
  */
 
-import { mapProject, mapTodo, formatTags, scheduleItem, parseLocalDate } from './utils.js';
+import {
+  mapProject, mapTodo, formatTags, applyWhen, parseLocalDate, getById, resolveList,
+  requireReminderSupport, scheduleReminder, withPendingReminder, applyTagChanges, updateEach,
+  resolveNewTags, addWarning, copySchedule, writeChecklistItems, parseTags, editTags,
+  planStatusChange, applyStatusChange
+} from './utils.js';
+import { resolveAreaByName, resolveProjectByName } from './resolvers.js';
+import { deferProjectWithHeadings } from './headings.js';
+import { TodoOperations } from './todos.js';
 
 export class ProjectOperations {
   
@@ -10,6 +18,24 @@ export class ProjectOperations {
    * Add a new project
    */
   static add(things, params) {
+    requireReminderSupport(params);
+    
+    // Resolve tags and the area first so bad input fails before anything is created
+    const tags = resolveNewTags(things, params);
+    
+    let area = null;
+    if (params.area_id) {
+      area = getById(things.areas, params.area_id, 'Area');
+    } else if (params.area_title) {
+      area = resolveAreaByName(things, params.area_title);
+    }
+    
+    // Headings can only be created along with a new project, through the URL scheme
+    const todos = (params.todos || []).map(entry => (typeof entry === 'string' ? { name: entry } : entry));
+    if (todos.some(todo => todo.heading)) {
+      return ProjectOperations.addWithHeadings(things, { ...params, tags: tags.names }, todos, area);
+    }
+    
     const projectProps = {
       name: params.name
     };
@@ -22,13 +48,21 @@ export class ProjectOperations {
     things.projects.push(project);
     
     // Set tags (convert array to comma-separated string)
-    if (params.tags && params.tags.length > 0) {
-      project.tagNames = formatTags(params.tags);
+    if (tags.names.length > 0) {
+      project.tagNames = formatTags(tags.names);
     }
     
-    // Schedule activation date (when to work on)
+    // Schedule activation date (when to work on). The project exists by now,
+    // so a failed move is reported as a warning rather than failing the request
     if (params.activation_date) {
-      scheduleItem(things, project, params.activation_date);
+      try {
+        applyWhen(things, project, params.activation_date, true);
+      } catch (e) {
+        addWarning('when', `Created, but could not be scheduled: ${e.message}`, params.activation_date);
+      }
+      if (params.reminder_time) {
+        scheduleReminder(project, params.activation_date, params.reminder_time, true);
+      }
     }
     
     // Set due date (when actually due)
@@ -36,45 +70,104 @@ export class ProjectOperations {
       project.dueDate = parseLocalDate(params.due_date);
     }
     
-    // Add to area
-    if (params.area_id) {
+    // Add to area. The project exists by now, so failures from here on are
+    // reported as warnings rather than failing the whole request
+    if (area) {
       try {
-        const area = things.areas.byId(params.area_id);
         project.area = area;
       } catch (e) {
-        // Area not found
+        addWarning('area', `Could not be added to area ${area.name()}: ${e.message}`,
+          params.area_id || params.area_title);
       }
-    } else if (params.area_title) {
+    }
+    
+    // Add todos to project in the given order. Each is a title or a full set
+    // of add_todo params, and a to-do that fails is reported without losing
+    // the rest
+    todos.forEach((todoParams, index) => {
       try {
-        const areas = things.areas();
-        for (let area of areas) {
-          if (area.name() === params.area_title) {
-            project.area = area;
-            break;
-          }
-        }
+        TodoOperations.add(things, {
+          ...todoParams,
+          list_id: project.id(),
+          url_scheme_enabled: params.url_scheme_enabled,
+          unknown_tag_policy: params.unknown_tag_policy
+        });
       } catch (e) {
-        // Areas not accessible or area not found
+        addWarning('todos', `To-do ${index + 1} could not be created: ${e.message}`, todoParams.name);
       }
-    }
+    });
     
-    // Add todos to project
-    if (params.todos && params.todos.length > 0) {
-      params.todos.forEach(todoTitle => {
-        const todo = things.ToDo({ name: todoTitle });
-        project.toDos.push(todo);
-      });
-    }
+    return withPendingReminder(mapProject(project), params);
+  }
+  
+  /**
+   * Add a project whose todos have headings through the URL scheme's json
+   * command. To-dos without a heading come first, then each heading in the
+   * order it first appears with its to-dos. Things creates the project after
+   * the script returns, so the result has no ID.
+   */
+  static addWithHeadings(things, params, todos, area) {
+    const headingOf = todo => (todo.heading && todo.heading.trim()) || null;
+    const headings = [];
+    todos.forEach(todo => {
+      if (headingOf(todo) && !headings.includes(headingOf(todo))) {
+        headings.push(headingOf(todo));
+      }
+    });
     
-    return mapProject(project);
+    // Display order, keeping each to-do's position in todos for warnings
+    const settings = { url_scheme_enabled: params.url_scheme_enabled, unknown_tag_policy: params.unknown_tag_policy };
+    const entries = [];
+    const positions = [];
+    const addGroup = heading => todos.forEach((todo, index) => {
+      if (headingOf(todo) === heading) {
+        entries.push({ ...todo, ...settings });
+        positions.push(index);
+      }
+    });
+    addGroup(null);
+    headings.forEach(heading => {
+      entries.push({ type: 'heading', name: heading });
+      positions.push(null);
+      addGroup(heading);
+    });
+    
+    const project = deferProjectWithHeadings(things, { ...params, area_id: area ? area.id() : undefined }, entries,
+      (e, index) => addWarning('todos', `To-do ${positions[index] + 1} could not be created: ${e.message}`,
+        entries[index].name));
+    
+    return {
+      id: null,
+      name: params.name,
+      pending: true,
+      headings,
+      todos: project.attributes.items.filter(item => item.type === 'to-do').length
+    };
   }
   
   /**
    * Update an existing project
    */
   static update(things, params) {
+    requireReminderSupport(params);
+    
+    // Several IDs: apply the same changes to each
+    if (params.ids && params.ids.length > 0) {
+      return updateEach(params.ids, params, single => ProjectOperations.update(things, single));
+    }
+    
+    if (!params.id) {
+      throw new Error('An id (or ids) is required');
+    }
+    
     const project = things.projects.byId(params.id);
     
+    // Check the status change and update tags first, so a rejected status or
+    // tag leaves the project untouched. Empty array means remove all tags,
+    // add_tags/remove_tags edit in place
+    const statusChange = planStatusChange(project, params);
+    applyTagChanges(things, project, params);
+    
     // Update basic properties
     if (params.name !== undefined) {
       project.name = params.name;
@@ -84,30 +177,14 @@ export class ProjectOperations {
       project.notes = params.notes;
     }
     
-    // Update tags - empty array means remove all tags
-    if (params.tags !== undefined) {
-      project.tagNames = formatTags(params.tags);
-    }
-    
-    // Update status
-    if (params.completed === true) {
-      project.status = 'completed';
-    } else if (params.canceled === true) {
-      project.status = 'canceled';
-    }
+    // Update status, and backdate the completion if asked
+    applyStatusChange(project, statusChange);
     
     // Update dates
     if (params.activation_date !== undefined) {
-      if (params.activation_date) {
-        scheduleItem(things, project, params.activation_date);
-      } else {
-        // Clear activation date
-        try {
-          scheduleItem(things, project, '2099-12-31');
-          things.schedule(project, { for: null });
-        } catch (e) {
-          // Schedule clearing failed
-        }
+      applyWhen(things, project, params.activation_date, true);
+      if (params.activation_date && params.reminder_time) {
+        scheduleReminder(project, params.activation_date, params.reminder_time, true);
       }
     }
     
@@ -115,9 +192,234 @@ export class ProjectOperations {
       project.dueDate = params.due_date ? parseLocalDate(params.due_date) : null;
     }
     
+    return withPendingReminder(mapProject(project), params);
+  }
+  
+  /**
+   * Move a project into an area, out of its area, or to a built-in list
+   */
+  static move(things, params) {
+    const project = getById(things.projects, params.id, 'Project');
+    const target = resolveList(things, params);
+    
+    if (!target && !params.remove_from_area) {
+      throw new Error('A destination is required: list_id, list_title or remove_from_area');
+    }
+    
+    if (params.heading) {
+      throw new Error('heading can only be used when moving a to-do');
+    }
+    
+    if (target && target.type === 'project') {
+      throw new Error('A project cannot be moved into another project');
+    }
+    
+    if (params.remove_from_area) {
+      try {
+        project.area = null;
+      } catch (e) {
+        throw new Error(`Failed to remove project from its area: ${e.message}`);
+      }
+    }
+    
+    if (target && target.type === 'area') {
+      project.area = target.list;
+    } else if (target) {
+      things.move(project, { to: target.list });
+    }
+    
     return mapProject(project);
   }
   
+  /**
+   * Turn a project back into a todo with the same title, notes, tags,
+   * schedule, deadline and area. Only projects whose todos are plain titles
+   * can be converted; those become checklist items. The original project
+   * goes to the Trash.
+   */
+  static convertToTodo(things, params) {
+    const project = getById(things.projects, params.id, 'Project');
+    if (project.status() !== 'open') {
+      throw new Error(`Only open projects can be converted, this one is ${project.status()}`);
+    }
+    
+    const children = project.toDos();
+    const blockers = children
+      .map(child => ({ name: child.name(), reason: ProjectOperations.nonTrivialReason(child) }))
+      .filter(entry => entry.reason);
+    if (blockers.length > 0) {
+      throw new Error(
+        `Project "${project.name()}" has to-dos that cannot become checklist items: ` +
+        blockers.map(entry => `"${entry.name}" (${entry.reason})`).join(', ')
+      );
+    }
+    const checklist = children.map(child => ({ title: child.name(), completed: child.status() === 'completed' }));
+    
+    let area = null;
+    try {
+      area = project.area();
+    } catch (e) {
+      // Not in an area
+    }
+    
+    const todo = things.ToDo({ name: project.name(), notes: project.notes() || '' });
+    things.toDos.push(todo);
+    
+    if (project.tagNames()) {
+      todo.tagNames = project.tagNames();
+    }
+    if (project.dueDate()) {
+      todo.dueDate = project.dueDate();
+    }
+    if (area) {
+      todo.area = area;
+    }
+    copySchedule(things, project, todo);
+    
+    if (checklist.length > 0) {
+      writeChecklistItems(todo, checklist, 'replace', params.url_scheme_enabled);
+    }
+    
+    const originalId = project.id();
+    things.delete(project);
+    
+    return { originalId, todo: mapTodo(things.toDos.byId(todo.id())) };
+  }
+  
+  /**
+   * Why a project's child cannot become a checklist item, or null if it can
+   */
+  static nonTrivialReason(child) {
+    if (child.status() === 'canceled') {
+      return 'canceled';
+    }
+    if (child.notes()) {
+      return 'has notes';
+    }
+    if (child.tagNames()) {
+      return 'has tags';
+    }
+    if (child.activationDate() || child.dueDate()) {
+      return 'has dates';
+    }
+    return null;
+  }
+  
+  /**
+   * Find a project by ID or name
+   */
+  static getProject(things, id, title, includeCompleted = false) {
+    if (id) {
+      return getById(things.projects, id, 'Project');
+    }
+    
+    return resolveProjectByName(things, title, includeCompleted);
+  }
+  
+  /**
+   * Merge source projects into a target project: todos move over, completed
+   * and canceled ones too so they stay in the Logbook, notes are appended,
+   * tags are combined, and each source that ends up empty goes to the Trash.
+   * Things does not show headings to scripts, so moved todos land outside any
+   * heading.
+   */
+  static merge(things, params) {
+    const includeCompleted = params.include_completed_projects;
+    
+    if (!params.target_id && !params.target_title) {
+      throw new Error('A target is required: target_id or target_title');
+    }
+    const target = ProjectOperations.getProject(things, params.target_id, params.target_title, includeCompleted);
+    
+    const sources = [
+      ...(params.source_ids || []).map(id => ProjectOperations.getProject(things, id)),
+      ...(params.source_titles || []).map(title => ProjectOperations.getProject(things, null, title, includeCompleted))
+    ].filter((source, index, all) => all.findIndex(other => other.id() === source.id()) === index);
+    
+    if (sources.length === 0) {
+      throw new Error('At least one source is required: source_ids or source_titles');
+    }
+    if (sources.some(source => source.id() === target.id())) {
+      throw new Error(`Project "${target.name()}" cannot be merged into itself`);
+    }
+    
+    const existingNames = new Set(target.toDos().map(item => item.name()));
+    const summary = { sources: [], conflicts: [] };
+    
+    for (const source of sources) {
+      const entry = { id: source.id(), name: source.name(), movedTodos: 0, closedTodos: 0, moved: [], trashed: false };
+      
+      for (const item of source.toDos()) {
+        const open = item.status() === 'open';
+        const conflict = reason => summary.conflicts.push({
+          source: entry.name, todo: item.name(), id: item.id(), reason
+        });
+        if (open && existingNames.has(item.name())) {
+          conflict('A to-do with this title is already in the target');
+        }
+        
+        try {
+          item.project = target;
+        } catch (e) {
+          conflict(`Could not be moved: ${e.message}`);
+          continue;
+        }
+        
+        if (open) {
+          entry.movedTodos++;
+          existingNames.add(item.name());
+        } else {
+          entry.closedTodos++;
+        }
+        entry.moved.push({ id: item.id(), name: item.name(), status: item.status() });
+      }
+      
+      const notes = source.notes() || '';
+      if (notes.trim()) {
+        const current = target.notes() || '';
+        target.notes = `${current}${current ? '\n\n' : ''}--- ${entry.name} ---\n${notes}`;
+      }
+      
+      const sourceTags = parseTags(source.tagNames());
+      if (sourceTags.length > 0) {
+        target.tagNames = formatTags(editTags(parseTags(target.tagNames()), sourceTags));
+      }
+      
+      // Only trash a source once every todo has left it, so no logged work goes with it
+      const left = source.toDos().length;
+      if (left === 0) {
+        things.delete(source);
+        entry.trashed = true;
+      } else {
+        summary.conflicts.push({
+          source: entry.name,
+          reason: `Kept out of the Trash, ${left} to-do(s) could not be moved`
+        });
+      }
+      
+      summary.sources.push(entry);
+    }
+    
+    return {
+      project: mapProject(target),
+      movedTodos: summary.sources.reduce((total, entry) => total + entry.movedTodos, 0),
+      ...summary
+    };
+  }
+  
+  /**
+   * Delete a project (moves it and its todos to the Trash)
+   */
+  static delete(things, params) {
+    const project = getById(things.projects, params.id, 'Project');
+    
+    // Map before deleting so the caller knows what was removed
+    const item = mapProject(project);
+    things.delete(project);
+    
+    return { deleted: true, item };
+  }
+  
   /**
    * Get all projects
    */
@@ -0,0 +1,235 @@
+/**
+ * Name resolvers for Things 3
+ *
+ * Match user-supplied names against what already exists in Things, so that
+ * "work" finds the tag "Work" instead of silently creating a second one, and
+ * "groceries " finds the project "Groceries" instead of landing in the Inbox.
+ */
+
+import { addWarning } from './utils.js';
+
+// Things stores an item's tags as one comma-separated string
+const TAG_SEPARATORS = /[,\r\n]/;
+
+export const UNKNOWN_TAG_POLICIES = ['create', 'reject', 'warn'];
+
+/**
+ * Normalize a name for comparison: trimmed, lowercase, accents removed
+ */
+export function normalizeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Check that a tag name can be stored: a string, not empty and without
+ * separators. Returns the trimmed name.
+ */
+export function validateTagName(name) {
+  // String() would turn a missing name into the tag "undefined"
+  if (typeof name !== 'string') {
+    throw new Error('Tag name is required and must be a string');
+  }
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Tag name cannot be empty');
+  }
+  if (TAG_SEPARATORS.test(trimmed)) {
+    throw new Error(`Tag name "${trimmed}" contains a comma or line break, which Things cannot store in a tag name`);
+  }
+  return trimmed;
+}
+
+/**
+ * Resolves tag names against the existing tags using an unknown-tag policy:
+ * - create: unknown tags are kept and Things creates them when they are set
+ * - reject: unknown tags fail the whole operation
+ * - warn: unknown tags are skipped and reported back
+ */
+export class TagResolver {
+  constructor(existingNames, policy = 'create') {
+    if (!UNKNOWN_TAG_POLICIES.includes(policy)) {
+      throw new Error(`Invalid unknown tag policy: ${policy}. Use ${UNKNOWN_TAG_POLICIES.join(', ')}`);
+    }
+    
+    this.policy = policy;
+    this.existing = new Map();
+    for (const name of existingNames) {
+      const key = normalizeName(name);
+      if (!this.existing.has(key)) {
+        this.existing.set(key, name);
+      }
+    }
+  }
+  
+  /**
+   * Resolve names to existing tag spellings.
+   * Returns { names, created, skipped }, deduplicated in input order.
+   */
+  resolve(names) {
+    const entries = [];
+    const seen = new Set();
+    
+    for (const raw of names) {
+      if (!String(raw).trim()) {
+        continue;
+      }
+      
+      const name = validateTagName(raw);
+      const key = normalizeName(name);
+      if (!seen.has(key)) {
+        seen.add(key);
+        entries.push({ name: this.existing.get(key) || name, known: this.existing.has(key) });
+      }
+    }
+    
+    const unknown = entries.filter(entry => !entry.known).map(entry => entry.name);
+    if (unknown.length > 0 && this.policy === 'reject') {
+      throw new Error(`Unknown tag(s): ${unknown.join(', ')}. Create them first with add_tag`);
+    }
+    
+    const skip = this.policy === 'warn';
+    return {
+      names: entries.filter(entry => entry.known || !skip).map(entry => entry.name),
+      created: skip ? [] : unknown,
+      skipped: skip ? unknown : []
+    };
+  }
+}
+
+/**
+ * Create a tag resolver for the current Things tags and the policy passed in params
+ */
+export function createTagResolver(things, params = {}) {
+  let existing;
+  try {
+    existing = things.tags().map(tag => tag.name());
+  } catch (e) {
+    existing = [];
+  }
+  return new TagResolver(existing, params.unknown_tag_policy || 'create');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Loose match between two normalized names of three or more characters:
+ * one contains the other, or they are a few typos apart
+ */
+function isFuzzyMatch(candidate, wanted) {
+  if (wanted.length < 3 || candidate.length < 3) {
+    return false;
+  }
+  if (candidate.includes(wanted) || wanted.includes(candidate)) {
+    return true;
+  }
+  return editDistance(candidate, wanted) <= Math.max(1, Math.floor(wanted.length / 4));
+}
+
+function describeCandidates(candidates) {
+  return candidates.map(c => `"${c.name}" (${c.type} ${c.id})`).join(', ');
+}
+
+/**
+ * Pick one candidate ({ name, type, id }) by name. Tiers are tried in order:
+ * exact, ignoring case, accents and surrounding whitespace, then fuzzy.
+ * The first tier with matches decides; more than one match is an error
+ * listing the candidates, as is no match at all. A fuzzy match is used but
+ * recorded as a warning under the label in lowercase, so "Home" filing into
+ * "Homework" does not go unnoticed.
+ */
+export function matchByName(candidates, input, label = 'Item') {
+  const wanted = String(input);
+  const key = normalizeName(wanted);
+  const tiers = [
+    candidate => candidate.name === wanted,
+    candidate => normalizeName(candidate.name) === key,
+    candidate => isFuzzyMatch(normalizeName(candidate.name), key)
+  ];
+  
+  for (const [index, tier] of tiers.entries()) {
+    const matches = candidates.filter(tier);
+    if (matches.length === 1) {
+      if (index === tiers.length - 1) {
+        addWarning(label.toLowerCase(), `Matched "${matches[0].name}" loosely`, wanted);
+      }
+      return matches[0];
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `${label} "${wanted}" is ambiguous. Candidates: ${describeCandidates(matches)}. Use the ID to pick one`
+      );
+    }
+  }
+  
+  const closest = candidates
+    .map(candidate => ({ candidate, distance: editDistance(normalizeName(candidate.name), key) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 5)
+    .map(entry => entry.candidate);
+  
+  throw new Error(
+    `${label} "${wanted}" not found.` +
+    (closest.length > 0 ? ` Closest: ${describeCandidates(closest)}` : '')
+  );
+}
+
+/**
+ * Turn Things objects into name candidates. Unreadable collections yield none.
+ */
+export function toCandidates(getItems, type, filter = null) {
+  let items;
+  try {
+    items = getItems();
+  } catch (e) {
+    return [];
+  }
+  
+  return items
+    .filter(item => !filter || filter(item))
+    .map(item => ({ item, type, id: item.id(), name: item.name() }));
+}
+
+/**
+ * Candidates for projects; completed and canceled ones are left out unless asked for
+ */
+export function projectCandidates(things, includeCompleted = false) {
+  return toCandidates(
+    () => things.projects(),
+    'project',
+    includeCompleted ? null : project => project.status() === 'open'
+  );
+}
+
+/**
+ * Find a project by name (see matchByName)
+ */
+export function resolveProjectByName(things, name, includeCompleted = false) {
+  return matchByName(projectCandidates(things, includeCompleted), name, 'Project').item;
+}
+
+/**
+ * Find an area by name (see matchByName)
+ */
+export function resolveAreaByName(things, name) {
+  return matchByName(toCandidates(() => things.areas(), 'area'), name, 'Area').item;
+}
@@ -2,7 +2,10 @@
  * Search operations for Things 3
  */
 
-import { mapTodo, mapProject, mapArea, parseTags, LIST_IDS } from './utils.js';
+import {
+  mapTodo, mapProject, mapArea, parseTags, parseLocalDate, getItemType, resolveList, safeGetList, LIST_IDS
+} from './utils.js';
+import { normalizeName } from './resolvers.js';
 
 export class SearchOperations {
   
@@ -196,6 +199,64 @@ export class SearchOperations {
     return recent.map(mapTodo);
   }
   
+  /**
+   * Find the todos and projects matching every given criterion: list_id or
+   * list_title (a built-in list, project or area), type, tag, status (open
+   * unless given), text in the title or notes, and a deadline on or
+   * after/before deadline_after/deadline_before.
+   */
+  static filterItems(things, filter) {
+    const target = resolveList(things, filter);
+    const status = filter.status || 'open';
+    
+    let items;
+    if (target) {
+      items = target.list.toDos();
+    } else {
+      // Completed and canceled items may only be reachable through the
+      // Logbook, so include it when looking for them
+      const seen = new Set();
+      items = [
+        ...things.toDos(),
+        ...(status === 'open' ? [] : safeGetList(things, LIST_IDS.LOGBOOK))
+      ].filter(item => !seen.has(item.id()) && seen.add(item.id()));
+    }
+    
+    const tag = filter.tag ? normalizeName(filter.tag) : null;
+    const text = filter.text ? filter.text.toLowerCase() : null;
+    const after = filter.deadline_after ? parseLocalDate(filter.deadline_after) : null;
+    const before = filter.deadline_before ? parseLocalDate(filter.deadline_before) : null;
+    if (before) {
+      before.setDate(before.getDate() + 1);
+    }
+    
+    return items.filter(item => {
+      try {
+        if (item.status() !== status) {
+          return false;
+        }
+        if (filter.type && getItemType(item) !== filter.type) {
+          return false;
+        }
+        if (tag && !parseTags(item.tagNames()).some(name => normalizeName(name) === tag)) {
+          return false;
+        }
+        if (text && !`${item.name()}\n${item.notes() || ''}`.toLowerCase().includes(text)) {
+          return false;
+        }
+        if (after || before) {
+          const deadline = item.dueDate();
+          if (!deadline || (after && deadline < after) || (before && deadline >= before)) {
+            return false;
+          }
+        }
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+  
   /**
    * Show single item details
    */
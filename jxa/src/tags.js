@@ -2,45 +2,419 @@
  * Tag operations for Things 3
  */
 
-import { mapTodo, parseTags } from './utils.js';
+import { mapTodo, mapProject, mapArea, mapTag, buildTagTree, parseTags, formatTags, getById } from './utils.js';
+import { normalizeName, validateTagName, createTagResolver } from './resolvers.js';
 
 export class TagOperations {
   
   /**
-   * Get all tags
+   * Get all tags: names by default, or the hierarchy with IDs when as_tree is set
    */
   static getAll(things, params) {
+    let tags;
     try {
-      const tags = things.tags();
-      return tags.map(tag => tag.name());
+      tags = things.tags();
     } catch (e) {
       return [];
     }
+    
+    if (params.as_tree) {
+      return buildTagTree(tags.map(mapTag));
+    }
+    
+    return tags.map(tag => tag.name());
+  }
+  
+  /**
+   * Find a tag by ID or exact name
+   */
+  static getTag(things, id, name) {
+    if (id) {
+      return getById(things.tags, id, 'Tag');
+    }
+    
+    if (!name) {
+      throw new Error('A tag is required: id or tag_title');
+    }
+    
+    // Exact name first, then ignoring case and accents
+    const tags = things.tags();
+    const tag = tags.find(t => t.name() === name) ||
+      tags.find(t => normalizeName(t.name()) === normalizeName(name));
+    if (!tag) {
+      throw new Error(`Tag "${name}" not found`);
+    }
+    return tag;
+  }
+  
+  /**
+   * Resolve the parent tag named by parent_tag_id / parent_tag, or null for none
+   */
+  static getParent(things, params) {
+    if (!params.parent_tag_id && !params.parent_tag) {
+      return null;
+    }
+    return TagOperations.getTag(things, params.parent_tag_id, params.parent_tag);
+  }
+  
+  /**
+   * Check whether candidate is tag itself or one of its descendants
+   */
+  static isSelfOrDescendant(tag, candidate) {
+    const tagId = tag.id();
+    let current = candidate;
+    
+    while (current) {
+      if (current.id() === tagId) {
+        return true;
+      }
+      try {
+        current = current.parentTag();
+      } catch (e) {
+        current = null;
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Add a new tag, optionally nested under a parent tag
+   */
+  static add(things, params) {
+    const name = validateTagName(params.name);
+    const existing = things.tags().find(t => normalizeName(t.name()) === normalizeName(name));
+    if (existing) {
+      throw new Error(`Tag "${existing.name()}" already exists`);
+    }
+    
+    // Resolve the parent first so a bad parent fails before anything is created
+    const parent = TagOperations.getParent(things, params);
+    
+    const tag = things.Tag({ name });
+    things.tags.push(tag);
+    
+    if (parent) {
+      tag.parentTag = parent;
+    }
+    
+    if (params.shortcut) {
+      tag.keyboardShortcut = params.shortcut;
+    }
+    
+    return mapTag(tag);
+  }
+  
+  /**
+   * Rename a tag, move it under another parent, or set its keyboard shortcut
+   */
+  static update(things, params) {
+    const tag = TagOperations.getTag(things, params.id, params.tag_title);
+    
+    if (params.name !== undefined && params.name !== tag.name()) {
+      const name = validateTagName(params.name);
+      // Changing only the case or accents of the tag itself is fine
+      const existing = things.tags().find(t =>
+        t.id() !== tag.id() && normalizeName(t.name()) === normalizeName(name)
+      );
+      if (existing) {
+        throw new Error(`Tag "${existing.name()}" already exists`);
+      }
+      tag.name = name;
+    }
+    
+    if (params.remove_parent) {
+      tag.parentTag = null;
+    } else {
+      const parent = TagOperations.getParent(things, params);
+      if (parent) {
+        if (TagOperations.isSelfOrDescendant(tag, parent)) {
+          throw new Error(`Cannot move tag "${tag.name()}" under itself or one of its child tags`);
+        }
+        tag.parentTag = parent;
+      }
+    }
+    
+    // Empty string clears the shortcut
+    if (params.shortcut !== undefined) {
+      tag.keyboardShortcut = params.shortcut;
+    }
+    
+    return mapTag(tag);
+  }
+  
+  /**
+   * Delete a tag. Things removes it from every item and deletes its child tags too.
+   */
+  static delete(things, params) {
+    const tag = TagOperations.getTag(things, params.id, params.tag_title);
+    
+    // Map before deleting so the caller knows what was removed
+    const item = mapTag(tag);
+    item.childTags = things.tags()
+      .filter(t => t.id() !== item.id && TagOperations.isSelfOrDescendant(tag, t))
+      .map(t => t.name());
+    
+    things.delete(tag);
+    
+    return { deleted: true, item };
+  }
+  
+  /**
+   * Collect every to-do, project and area with its parsed tags.
+   * Properties are read in bulk, since per-item reads are slow over a large logbook.
+   */
+  static collectTaggedItems(things) {
+    const items = [];
+    const projectIds = new Set(things.projects.id());
+    
+    const todos = things.toDos();
+    const todoIds = things.toDos.id();
+    const todoTags = things.toDos.tagNames();
+    const todoStatus = things.toDos.status();
+    todos.forEach((todo, i) => {
+      // Projects are to-dos too; they are collected from things.projects below
+      if (!projectIds.has(todoIds[i])) {
+        items.push({ type: 'todo', item: todo, status: todoStatus[i], tags: parseTags(todoTags[i]) });
+      }
+    });
+    
+    const projects = things.projects();
+    const projectTags = things.projects.tagNames();
+    const projectStatus = things.projects.status();
+    projects.forEach((project, i) => {
+      items.push({ type: 'project', item: project, status: projectStatus[i], tags: parseTags(projectTags[i]) });
+    });
+    
+    const areas = things.areas();
+    const areaTags = things.areas.tagNames();
+    areas.forEach((area, i) => {
+      items.push({ type: 'area', item: area, status: null, tags: parseTags(areaTags[i]) });
+    });
+    
+    return items;
+  }
+  
+  /**
+   * Tag maintenance: a usage report (action 'report', default) or
+   * merging one tag into another (action 'merge')
+   */
+  static maintain(things, params) {
+    const action = params.action || 'report';
+    
+    switch (action) {
+      case 'report':
+        return TagOperations.report(things);
+      case 'merge':
+        return TagOperations.merge(things, params);
+      default:
+        throw new Error(`Invalid action: ${action}. Use 'report' or 'merge'`);
+    }
+  }
+  
+  /**
+   * Count how many open to-dos, completed to-dos, projects and areas use each tag
+   */
+  static report(things) {
+    const usage = new Map(things.tags().map(tag => [tag.name(), {
+      ...mapTag(tag),
+      openTodos: 0,
+      completedTodos: 0,
+      projects: 0,
+      areas: 0,
+      total: 0
+    }]));
+    
+    for (const { type, status, tags } of TagOperations.collectTaggedItems(things)) {
+      for (const name of tags) {
+        const entry = usage.get(name);
+        if (!entry) {
+          continue;
+        }
+        
+        if (type === 'todo') {
+          entry[status === 'open' ? 'openTodos' : 'completedTodos']++;
+        } else {
+          entry[type === 'project' ? 'projects' : 'areas']++;
+        }
+        entry.total++;
+      }
+    }
+    
+    const tags = [...usage.values()];
+    return {
+      tags,
+      unused: tags.filter(tag => tag.total === 0).map(tag => tag.name)
+    };
+  }
+  
+  /**
+   * Merge source_tag into target_tag: every item tagged with the source gets the
+   * target instead, then the source tag is deleted
+   */
+  static merge(things, params) {
+    if (!params.source_tag || !params.target_tag) {
+      throw new Error('Merging requires source_tag and target_tag');
+    }
+    
+    const source = TagOperations.getTag(things, null, params.source_tag);
+    const target = TagOperations.getTag(things, null, params.target_tag);
+    
+    if (source.id() === target.id()) {
+      throw new Error('source_tag and target_tag must be different tags');
+    }
+    
+    // Deleting the source would take its child tags with it
+    const children = things.tags().filter(t => t.id() !== source.id() && TagOperations.isSelfOrDescendant(source, t));
+    if (children.length > 0) {
+      throw new Error(
+        `Tag "${source.name()}" has child tags (${children.map(t => t.name()).join(', ')}). ` +
+        'Move or merge them first'
+      );
+    }
+    
+    const sourceName = source.name();
+    const targetName = target.name();
+    const resolver = createTagResolver(things);
+    const updated = [];
+    
+    for (const { type, item, tags } of TagOperations.collectTaggedItems(things)) {
+      if (!tags.includes(sourceName)) {
+        continue;
+      }
+      
+      const merged = tags.filter(name => name !== sourceName);
+      if (!merged.includes(targetName)) {
+        merged.push(targetName);
+      }
+      
+      try {
+        item.tagNames = formatTags(resolver.resolve(merged).names);
+      } catch (e) {
+        throw new Error(
+          `Failed to retag ${type} "${item.name()}": ${e.message}. ` +
+          `${updated.length} item(s) were already retagged and "${sourceName}" was not deleted`
+        );
+      }
+      updated.push({ type, id: item.id(), name: item.name() });
+    }
+    
+    things.delete(source);
+    
+    return {
+      merged: { from: sourceName, into: targetName },
+      updated: {
+        todos: updated.filter(entry => entry.type === 'todo').length,
+        projects: updated.filter(entry => entry.type === 'project').length,
+        areas: updated.filter(entry => entry.type === 'area').length
+      },
+      items: updated
+    };
   }
   
   /**
-   * Get items with a specific tag
+   * Expand each requested tag name into the names that count as a match for it:
+   * the tag itself plus, with includeChildTags, every tag nested below it.
+   * Names are normalized (see normalizeName), so "errand" matches "Errand".
+   */
+  static expandTags(allTags, names, includeChildTags) {
+    return names.map(name => {
+      const group = new Set([normalizeName(name)]);
+      if (!includeChildTags) {
+        return { tag: name, names: group };
+      }
+      
+      // Walk down the hierarchy until no new child tags turn up
+      let added = true;
+      while (added) {
+        added = false;
+        for (const tag of allTags) {
+          const key = normalizeName(tag.name);
+          if (tag.parent && group.has(normalizeName(tag.parent.name)) && !group.has(key)) {
+            group.add(key);
+            added = true;
+          }
+        }
+      }
+      return { tag: name, names: group };
+    });
+  }
+  
+  /**
+   * Match an item's tags against expanded tag groups.
+   * Returns the item tags that matched, as the item spells them, or null when
+   * the item does not qualify.
+   */
+  static matchTags(itemTags, groups, match = 'any') {
+    const matched = [];
+    let groupsMatched = 0;
+    
+    for (const group of groups) {
+      const hits = itemTags.filter(name => group.names.has(normalizeName(name)));
+      if (hits.length > 0) {
+        groupsMatched++;
+        hits.forEach(name => {
+          if (!matched.includes(name)) {
+            matched.push(name);
+          }
+        });
+      }
+    }
+    
+    switch (match) {
+      case 'any':
+        return groupsMatched > 0 ? matched : null;
+      case 'all':
+        return groupsMatched === groups.length ? matched : null;
+      case 'none':
+        return groupsMatched === 0 ? [] : null;
+      default:
+        throw new Error(`Invalid match option: ${match}. Use 'all', 'any' or 'none'`);
+    }
+  }
+  
+  /**
+   * Get to-dos, projects and areas by tag. Accepts one tag (tag_title) or several
+   * (tags) with all/any/none matching, optionally following child tags.
+   * Each result carries its type and the tags that matched it.
    */
   static getTaggedItems(things, params) {
-    const tagName = params.tag_title;
+    const names = params.tags && params.tags.length > 0
+      ? params.tags
+      : (params.tag_title ? [params.tag_title] : []);
+    
+    if (names.length === 0) {
+      throw new Error('A tag is required: tag_title or tags');
+    }
+    
+    const match = params.match || 'any';
+    const allTags = things.tags().map(mapTag);
     
-    let allTodos;
+    // An unknown tag would quietly match nothing (or everything, with none)
+    const known = new Set(allTags.map(tag => normalizeName(tag.name)));
+    const unknown = names.find(name => !known.has(normalizeName(name)));
+    if (unknown !== undefined) {
+      throw new Error(`Tag "${unknown}" not found`);
+    }
+    
+    const groups = TagOperations.expandTags(allTags, names, params.include_child_tags);
+    
+    let items;
     try {
-      allTodos = things.toDos();
+      items = TagOperations.collectTaggedItems(things);
     } catch (e) {
       return [];
     }
     
-    const tagged = allTodos.filter(todo => {
-      try {
-        const tagNames = todo.tagNames() || '';
-        const tags = parseTags(tagNames);
-        return tags.includes(tagName);
-      } catch (e) {
-        return false;
+    const mappers = { todo: mapTodo, project: mapProject, area: mapArea };
+    const results = [];
+    
+    for (const { type, item, tags } of items) {
+      const matchedTags = TagOperations.matchTags(tags, groups, match);
+      if (matchedTags) {
+        results.push({ type, ...mappers[type](item), matchedTags });
       }
-    });
+    }
     
-    return tagged.map(mapTodo);
+    return results;
   }
-}
\ No newline at end of file
+}
@@ -2,7 +2,15 @@
  * Todo operations for Things 3
  */
 
-import { mapTodo, formatTags, scheduleItem, parseLocalDate } from './utils.js';
+import {
+  mapTodo, mapProject, formatTags, applyWhen, parseLocalDate, getById, getItemType,
+  resolveList, writeChecklist, parseChecklist, formatChecklist, applyTagChanges, updateEach,
+  resolveNewTags, requireReminderSupport, scheduleReminder, withPendingReminder, addWarning,
+  copySchedule, planStatusChange, applyStatusChange, confirmationToken, editTags, parseTags, getDate
+} from './utils.js';
+import { ProjectOperations } from './projects.js';
+import { SearchOperations } from './search.js';
+import { requireHeadingSupport, fileUnderHeading } from './headings.js';
 
 export class TodoOperations {
   
@@ -10,6 +18,18 @@ export class TodoOperations {
    * Add a new todo
    */
   static add(things, params) {
+    requireReminderSupport(params);
+    requireHeadingSupport(params);
+    
+    // Resolve tags and the destination first so bad input fails before anything is created
+    const tags = resolveNewTags(things, params);
+    
+    const target = resolveList(things, params);
+    
+    if (params.heading && (!target || target.type !== 'project')) {
+      throw new Error('heading requires list_id or list_title to refer to a project');
+    }
+    
     // Create the todo
     const todoProps = {
       name: params.name
@@ -23,14 +43,26 @@ export class TodoOperations {
     things.toDos.push(todo);
     
     // Set tags (convert array to comma-separated string)
-    if (params.tags && params.tags.length > 0) {
-      todo.tagNames = formatTags(params.tags);
+    if (tags.names.length > 0) {
+      todo.tagNames = formatTags(tags.names);
     }
     
+    // Add checklist items
+    if (params.child_tasks && params.child_tasks.length > 0) {
+      writeChecklist(todo, params.child_tasks, 'replace', params.url_scheme_enabled);
+    }
     
-    // Schedule activation date (when to work on)
+    // Schedule activation date (when to work on). The todo exists by now, so
+    // a failed move is reported as a warning rather than failing the request
     if (params.activation_date) {
-      scheduleItem(things, todo, params.activation_date);
+      try {
+        applyWhen(things, todo, params.activation_date);
+      } catch (e) {
+        addWarning('when', `Created, but could not be scheduled: ${e.message}`, params.activation_date);
+      }
+      if (params.reminder_time) {
+        scheduleReminder(todo, params.activation_date, params.reminder_time, false);
+      }
     }
     
     // Set due date (when actually due)
@@ -38,69 +70,40 @@ export class TodoOperations {
       todo.dueDate = parseLocalDate(params.due_date);
     }
     
-    // Add to list/project
-    if (params.list_id) {
+    // Add to list/project. The todo exists by now, so a failed placement
+    // is reported as a warning rather than failing the whole request
+    if (target) {
       try {
-        const list = things.lists.byId(params.list_id);
-        list.toDos.push(todo);
+        target.list.toDos.push(todo);
       } catch (e) {
-        // List not found, todo stays in inbox
-      }
-    } else if (params.list_title) {
-      let targetList;
-      
-      // Check projects
-      try {
-        const projects = things.projects();
-        for (let project of projects) {
-          if (project.name() === params.list_title) {
-            targetList = project;
-            break;
-          }
-        }
-      } catch (e) {}
-      
-      // Check areas if not found in projects
-      if (!targetList) {
-        try {
-          const areas = things.areas();
-          for (let area of areas) {
-            if (area.name() === params.list_title) {
-              targetList = area;
-              break;
-            }
-          }
-        } catch (e) {}
-      }
-      
-      if (targetList) {
-        targetList.toDos.push(todo);
+        addWarning('list', `Created in the Inbox, could not be added to ${target.list.name()}: ${e.message}`,
+          params.list_id || params.list_title);
       }
     }
     
-    // Add to heading within project
-    if (params.heading && params.list_id) {
-      try {
-        const project = things.projects.byId(params.list_id);
-        const todos = project.toDos();
-        const headings = todos.filter(t => t.name() === params.heading);
-        if (headings.length > 0) {
-          const heading = headings[0];
-          const headingIndex = todos.indexOf(heading);
-          things.move(todo, { to: project.toDos[headingIndex] });
-        }
-      } catch (e) {
-        // Heading not found or move failed
-      }
+    // File under the heading within the project, through the URL scheme
+    if (params.heading) {
+      fileUnderHeading(todo, target.list, params.heading, params);
     }
     
-    return mapTodo(todo);
+    return withPendingReminder(mapTodo(todo), params);
   }
   
   /**
    * Update an existing todo
    */
   static update(things, params) {
+    requireReminderSupport(params);
+    
+    // Several IDs: apply the same changes to each
+    if (params.ids && params.ids.length > 0) {
+      return updateEach(params.ids, params, single => TodoOperations.update(things, single));
+    }
+    
+    if (!params.id) {
+      throw new Error('An id (or ids) is required');
+    }
+    
     // Try to find the item as either a todo or a project
     let todo = null;
     let isProject = false;
@@ -116,39 +119,37 @@ export class TodoOperations {
       }
     }
     
+    // Check the status change and update tags first, so a rejected status or
+    // tag leaves the todo untouched. Empty array means remove all tags,
+    // add_tags/remove_tags edit in place
+    const statusChange = planStatusChange(todo, params);
+    applyTagChanges(things, todo, params);
+    
     // Update basic properties
     if (params.name !== undefined) {
       todo.name = params.name;
     }
     
+    // Keep any existing checklist when only the notes change
     if (params.notes !== undefined) {
-      todo.notes = params.notes;
+      const { items } = parseChecklist(todo.notes() || '');
+      todo.notes = formatChecklist(params.notes, items);
     }
     
-    // Update tags - empty array means remove all tags
-    if (params.tags !== undefined) {
-      todo.tagNames = formatTags(params.tags);
+    // Update checklist items - replaces the checklist unless appending
+    if (params.child_tasks !== undefined) {
+      writeChecklist(todo, params.child_tasks, params.checklist_mode, params.url_scheme_enabled);
     }
     
-    // Update status
-    if (params.completed === true) {
-      todo.status = 'completed';
-    } else if (params.canceled === true) {
-      todo.status = 'canceled';
-    }
+    // Update status, and backdate the completion if asked
+    applyStatusChange(todo, statusChange);
     
     // Update dates
     if (params.activation_date !== undefined) {
-      if (params.activation_date) {
-        scheduleItem(things, todo, params.activation_date);
-      } else {
-        // Clear activation date by scheduling to far future then back
-        try {
-          scheduleItem(things, todo, '2099-12-31');
-          things.schedule(todo, { for: null });
-        } catch (e) {
-          // Schedule clearing failed
-        }
+      const isProjectItem = getItemType(todo) === 'project';
+      applyWhen(things, todo, params.activation_date, isProjectItem);
+      if (params.activation_date && params.reminder_time) {
+        scheduleReminder(todo, params.activation_date, params.reminder_time, isProjectItem);
       }
     }
     
@@ -156,8 +157,252 @@ export class TodoOperations {
       todo.dueDate = params.due_date ? parseLocalDate(params.due_date) : null;
     }
     
+    return withPendingReminder(mapTodo(todo), params);
+  }
+  
+  /**
+   * Move a todo or project to a different list, project, area or heading
+   */
+  static move(things, params) {
+    const item = getById(things.toDos, params.id, 'Todo/Project');
+    if (getItemType(item) === 'project') {
+      return { type: 'project', ...ProjectOperations.move(things, params) };
+    }
+    
+    const target = resolveList(things, params);
+    if (!target) {
+      throw new Error('A destination is required: list_id or list_title');
+    }
+    
+    if (params.heading && target.type !== 'project') {
+      throw new Error('heading can only be used when moving into a project');
+    }
+    requireHeadingSupport(params);
+    
+    switch (target.type) {
+      case 'project':
+        item.project = target.list;
+        if (params.heading) {
+          fileUnderHeading(item, target.list, params.heading, params);
+        }
+        break;
+      case 'area':
+        item.area = target.list;
+        break;
+      default:
+        things.move(item, { to: target.list });
+    }
+    
+    return { type: 'todo', ...mapTodo(item) };
+  }
+  
+  /**
+   * Apply one patch to every todo and project matching a filter (see
+   * SearchOperations.filterItems). Without the confirmation token of the
+   * current preview, only returns the matches and what would change.
+   */
+  static updateMatching(things, params) {
+    const filter = params.filter || {};
+    const patch = params.patch || {};
+    if (Object.keys(filter).length === 0) {
+      throw new Error('A filter with at least one criterion is required');
+    }
+    if (Object.keys(patch).length === 0) {
+      throw new Error('A patch with at least one change is required');
+    }
+    requireReminderSupport({ ...patch, url_scheme_enabled: params.url_scheme_enabled });
+    requireHeadingSupport({ ...patch, url_scheme_enabled: params.url_scheme_enabled });
+    
+    // Resolve the destination up front so a bad name fails the preview
+    const target = resolveList(things, patch);
+    const matches = SearchOperations.filterItems(things, filter);
+    const token = confirmationToken([JSON.stringify(patch), ...matches.map(item => item.id())]);
+    
+    if (params.confirmation_token !== token) {
+      return {
+        applied: false,
+        tokenMismatch: Boolean(params.confirmation_token),
+        count: matches.length,
+        items: matches.map(item => ({
+          id: item.id(),
+          name: item.name(),
+          type: getItemType(item),
+          changes: TodoOperations.previewPatch(item, patch, target)
+        })),
+        confirmationToken: token
+      };
+    }
+    
+    const settings = {
+      ...patch,
+      url_scheme_enabled: params.url_scheme_enabled,
+      unknown_tag_policy: params.unknown_tag_policy
+    };
+    const result = updateEach(matches.map(item => item.id()), settings, single => {
+      const updated = TodoOperations.update(things, single);
+      if (!target) {
+        return updated;
+      }
+      return TodoOperations.move(things, {
+        id: single.id,
+        list_id: target.list.id(),
+        heading: patch.heading,
+        url_scheme_enabled: params.url_scheme_enabled
+      });
+    });
+    
+    return { applied: true, count: matches.length, ...result };
+  }
+  
+  /**
+   * Describe what a patch would change on an item, field by field
+   */
+  static previewPatch(item, patch, target) {
+    const changes = {};
+    
+    if (patch.add_tags || patch.remove_tags) {
+      const from = parseTags(item.tagNames());
+      const to = editTags(from, patch.add_tags, patch.remove_tags);
+      if (to.join(',') !== from.join(',')) {
+        changes.tags = { from, to };
+      }
+    }
+    if (patch.activation_date !== undefined) {
+      changes.when = { from: getDate(item, 'activationDate'), to: patch.activation_date || null };
+    }
+    if (patch.due_date !== undefined) {
+      changes.deadline = { from: getDate(item, 'dueDate'), to: patch.due_date || null };
+    }
+    if (target) {
+      changes.list = { to: target.list.name(), ...(patch.heading && { heading: patch.heading }) };
+    }
+    if (patch.status && patch.status !== item.status()) {
+      changes.status = { from: item.status(), to: patch.status };
+    }
+    if (patch.completion_date) {
+      changes.completionDate = { to: patch.completion_date };
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Duplicate a todo or a whole project, optionally retitling and relocating the copy
+   */
+  static duplicate(things, params) {
+    requireHeadingSupport(params);
+    const original = getById(things.toDos, params.id, 'Todo/Project');
+    const isProject = getItemType(original) === 'project';
+    
+    const copy = things.duplicate(isProject ? things.projects.byId(params.id) : original);
+    if (!copy) {
+      throw new Error(`Failed to duplicate item with id ${params.id}`);
+    }
+    
+    if (params.name) {
+      copy.name = params.name;
+    }
+    
+    if (params.list_id || params.list_title) {
+      TodoOperations.move(things, {
+        id: copy.id(),
+        list_id: params.list_id,
+        list_title: params.list_title,
+        heading: params.heading,
+        url_scheme_enabled: params.url_scheme_enabled
+      });
+    }
+    
+    const map = isProject ? mapProject : mapTodo;
+    return {
+      type: isProject ? 'project' : 'todo',
+      original: map(isProject ? things.projects.byId(params.id) : original),
+      duplicate: map(isProject ? things.projects.byId(copy.id()) : things.toDos.byId(copy.id()))
+    };
+  }
+  
+  /**
+   * Turn a todo into a project with the same title, notes, tags, schedule,
+   * deadline and area. Checklist items become the project's todos and the
+   * original todo goes to the Trash. Only checklists kept in the notes can be
+   * read, and a native one (written through the URL scheme or in the app)
+   * would be lost, so a todo without one is only converted with
+   * discard_checklist.
+   */
+  static convertToProject(things, params) {
+    const todo = getById(things.toDos, params.id, 'Todo');
+    if (getItemType(todo) === 'project') {
+      throw new Error(`Item ${params.id} is already a project`);
+    }
+    if (todo.status() !== 'open') {
+      throw new Error(`Only open to-dos can be converted, this one is ${todo.status()}`);
+    }
+    
+    // A todo inside a project cannot become a nested project; keep the project's area instead
+    let area = null;
+    try {
+      const parent = todo.project();
+      area = parent ? parent.area() : todo.area();
+    } catch (e) {
+      // Not in a project or area
+    }
+    
+    const { body, items } = parseChecklist(todo.notes() || '');
+    if (items.length === 0 && params.discard_checklist !== true) {
+      throw new Error(
+        'This to-do may have a native checklist, which cannot be read and would go to the Trash with it. ' +
+        'Pass discard_checklist: true to convert it anyway'
+      );
+    }
+    
+    const project = things.Project({ name: todo.name(), notes: body });
+    things.projects.push(project);
+    
+    if (todo.tagNames()) {
+      project.tagNames = todo.tagNames();
+    }
+    if (todo.dueDate()) {
+      project.dueDate = todo.dueDate();
+    }
+    if (area) {
+      project.area = area;
+    }
+    copySchedule(things, todo, project, true);
+    
+    for (const item of items) {
+      try {
+        const child = things.ToDo({ name: item.title });
+        project.toDos.push(child);
+        if (item.completed) {
+          child.status = 'completed';
+        }
+      } catch (e) {
+        addWarning('checklist_items', `Could not create a to-do for the checklist item: ${e.message}`, item.title);
+      }
+    }
+    
+    const originalId = todo.id();
+    things.delete(todo);
+    
+    return { originalId, project: mapProject(things.projects.byId(project.id())) };
+  }
+  
+  /**
+   * Delete a todo (moves it to the Trash)
+   */
+  static delete(things, params) {
+    const todo = getById(things.toDos, params.id, 'Todo');
+    
+    // things.toDos also finds projects, and trashing one takes its to-dos along
+    if (getItemType(todo) === 'project') {
+      throw new Error(`Item ${params.id} is a project. Use delete_project to move a project and its to-dos to the Trash`);
+    }
+    
+    // Map before deleting so the caller knows what was removed
+    const item = mapTodo(todo);
+    things.delete(todo);
     
-    return mapTodo(todo);
+    return { deleted: true, item };
   }
   
   /**
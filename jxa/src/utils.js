@@ -2,6 +2,10 @@
  * Common utilities for JXA Things operations
  */
 
+import {
+  normalizeName, createTagResolver, matchByName, toCandidates, projectCandidates
+} from './resolvers.js';
+
 /**
  * Parse a date string (YYYY-MM-DD) to a Date object at midnight in system timezone
  * This ensures the date represents the start of the specified day in local time
@@ -43,11 +47,334 @@ export function scheduleItem(things, item, dateString) {
     const date = parseLocalDate(dateString);
     if (date) {
       things.schedule(item, { for: date });
+    } else {
+      addWarning('when', 'Not a valid date, the item was not scheduled', dateString);
+    }
+  } catch (e) {
+    // Activation date is read-only in the API, so there is no fallback
+    addWarning('when', `Could not schedule the item: ${e.message}`, dateString);
+  }
+}
+
+/**
+ * Symbolic when values and the built-in list each one moves an item into.
+ * tomorrow and clear are handled by scheduling rather than a list move.
+ */
+const WHEN_LISTS = {
+  today: 'TODAY',
+  evening: 'TODAY',
+  anytime: 'ANYTIME',
+  someday: 'SOMEDAY'
+};
+
+/**
+ * Apply a when value: a YYYY-MM-DD date or one of today, evening, tomorrow,
+ * anytime, someday or clear. An empty string is the same as clear.
+ * Throws if the item cannot be moved into the matching list.
+ */
+export function applyWhen(things, item, when, isProject = false) {
+  const value = when === '' ? 'clear' : when;
+  
+  switch (value) {
+    case 'today':
+    case 'anytime':
+    case 'someday':
+      moveToList(things, item, LIST_IDS[WHEN_LISTS[value]]);
+      break;
+    case 'evening':
+      // JXA cannot reach This Evening; Things files it from the URL scheme
+      moveToList(things, item, LIST_IDS.TODAY);
+      deferToURLScheme(isProject ? 'update-project' : 'update', {
+        id: item.id(),
+        activation_date: 'evening'
+      });
+      break;
+    case 'tomorrow': {
+      const date = new Date();
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() + 1);
+      things.schedule(item, { for: date });
+      break;
+    }
+    case 'clear':
+      // Only scheduled items have a date to clear; they go back to Anytime
+      if (item.activationDate()) {
+        moveToList(things, item, LIST_IDS.ANYTIME);
+      }
+      break;
+    default:
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error(
+          `Invalid when value "${value}". Use YYYY-MM-DD, today, evening, tomorrow, anytime, someday or clear`
+        );
+      }
+      scheduleItem(things, item, value);
+  }
+}
+
+/**
+ * Give an item the same start as another: its start date, Someday, or
+ * Anytime otherwise. Used when an item is recreated as a different kind.
+ */
+export function copySchedule(things, source, target, isProject = false) {
+  const date = source.activationDate();
+  if (date) {
+    try {
+      things.schedule(target, { for: date });
+    } catch (e) {
+      addWarning('when', `Could not schedule the item: ${e.message}`, getDate(source, 'activationDate'));
+    }
+  } else {
+    const id = source.id();
+    const inSomeday = safeGetList(things, LIST_IDS.SOMEDAY).some(item => item.id() === id);
+    applyWhen(things, target, inSomeday ? 'someday' : 'anytime', isProject);
+  }
+  
+  const reminderTime = getReminderTime(source);
+  if (reminderTime) {
+    addWarning('when', 'The reminder was not carried over', reminderTime);
+  }
+}
+
+/**
+ * Work out the status change asked for by status (or completed/canceled) and
+ * completion_date, checking it before anything is changed. Returns
+ * { status, final, date }, where status is null when it stays the same, or
+ * null when there is nothing to do.
+ */
+export function planStatusChange(item, params) {
+  let status = params.status || null;
+  if (!status && params.completed === true) {
+    status = 'completed';
+  } else if (!status && params.canceled === true) {
+    status = 'canceled';
+  }
+  if (!status && !params.completion_date) {
+    return null;
+  }
+  
+  const current = item.status();
+  const final = status || current;
+  if (params.completion_date && final === 'open') {
+    throw new Error('completion_date needs a completed or canceled item; pass status as well');
+  }
+  
+  // A todo reopened inside a closed project would stay out of sight in the Logbook
+  if (final === 'open' && current !== 'open' && getItemType(item) !== 'project') {
+    let project = null;
+    try {
+      project = item.project();
+    } catch (e) {
+      // Not in a project
+    }
+    if (project && project.status() !== 'open') {
+      throw new Error(`Reopen project "${project.name()}" first, it is ${project.status()}`);
+    }
+  }
+  
+  return {
+    status: final === current ? null : final,
+    final,
+    date: params.completion_date ? parseLocalDate(params.completion_date) : null
+  };
+}
+
+/**
+ * Apply a change from planStatusChange. The completion date is set after the
+ * status, since Things stamps the current time when an item is closed.
+ */
+export function applyStatusChange(item, change) {
+  if (!change) {
+    return;
+  }
+  
+  if (change.status) {
+    item.status = change.status;
+  }
+  
+  if (change.date) {
+    try {
+      if (change.final === 'completed') {
+        item.completionDate = change.date;
+      } else {
+        item.cancellationDate = change.date;
+      }
+    } catch (e) {
+      addWarning('completion_date', `Could not backdate the item: ${e.message}`, change.date.toISOString());
+    }
+  }
+}
+
+/**
+ * Move an item into a built-in list, failing loudly if Things refuses
+ */
+export function moveToList(things, item, listId) {
+  let list;
+  try {
+    list = things.lists.byId(listId);
+    list.id();
+  } catch (e) {
+    throw new Error(`List ${listId} not found`);
+  }
+  
+  try {
+    things.move(item, { to: list });
+  } catch (e) {
+    throw new Error(`Failed to move "${item.name()}" to ${list.name()}: ${e.message}`);
+  }
+}
+
+/**
+ * Fail early when a when value needs the Things URL scheme but it is not enabled.
+ * Reminders and This Evening are only reachable through the URL scheme.
+ */
+export function requireReminderSupport(params) {
+  if (params.url_scheme_enabled) {
+    return;
+  }
+  
+  if (params.reminder_time) {
+    throw new Error(
+      'Reminder times need the Things URL scheme auth token. ' +
+      'Add it in the extension settings, or schedule without a time.'
+    );
+  }
+  
+  if (params.activation_date === 'evening') {
+    throw new Error(
+      'Scheduling for This Evening needs the Things URL scheme auth token. ' +
+      'Add it in the extension settings, or use today.'
+    );
+  }
+}
+
+/**
+ * Set a reminder on a scheduled item through the Things URL scheme
+ */
+export function scheduleReminder(item, dateString, time, isProject) {
+  deferToURLScheme(isProject ? 'update-project' : 'update', {
+    id: item.id(),
+    activation_date: `${dateString}@${time}`
+  });
+}
+
+/**
+ * Report a reminder that was handed to the URL scheme on a mapped item,
+ * since it is only applied after the script returns
+ */
+export function withPendingReminder(mapped, params) {
+  if (params.reminder_time && params.activation_date) {
+    mapped.reminderTime = params.reminder_time;
+  }
+  return mapped;
+}
+
+/**
+ * Get the reminder time (HH:MM) of a scheduled item.
+ * Things keeps the reminder as the time of day of the activation date.
+ */
+export function getReminderTime(item) {
+  try {
+    const date = item.activationDate();
+    if (!date || (date.getHours() === 0 && date.getMinutes() === 0)) {
+      return null;
     }
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
   } catch (e) {
-    // Scheduling failed - activation date is read-only in API
-    // No fallback possible since activationDate property is read-only
+    return null;
+  }
+}
+
+/**
+ * Apply incremental tag edits to an item's current tags. Names are matched
+ * case- and accent-insensitively: added tags take the spelling of an existing
+ * tag (knownNames) or the item's own, removals ignore case, and duplicates are dropped.
+ */
+export function editTags(current, add = [], remove = [], knownNames = []) {
+  const removed = new Set(remove.map(normalizeName));
+  const canonical = new Map();
+  
+  // The item's own spelling wins over the tag list, and both over the input
+  for (const name of [...current, ...knownNames]) {
+    if (!canonical.has(normalizeName(name))) {
+      canonical.set(normalizeName(name), name.trim());
+    }
+  }
+  
+  const result = [];
+  const seen = new Set();
+  for (const name of [...current, ...add]) {
+    const k = normalizeName(name);
+    if (!k || removed.has(k) || seen.has(k)) {
+      continue;
+    }
+    seen.add(k);
+    result.push(canonical.get(k) || name.trim());
+  }
+  return result;
+}
+
+/**
+ * Record a warning for each tag the warn policy skipped
+ */
+function warnSkippedTags(skipped) {
+  for (const name of skipped) {
+    addWarning('tags', 'Tag does not exist and was skipped', name);
+  }
+}
+
+/**
+ * Resolve the tags param of an add operation before anything is created,
+ * so an unknown tag under the reject policy fails cleanly
+ */
+export function resolveNewTags(things, params) {
+  if (!params.tags || params.tags.length === 0) {
+    return { names: [], created: [], skipped: [] };
+  }
+  const resolved = createTagResolver(things, params).resolve(params.tags);
+  warnSkippedTags(resolved.skipped);
+  return resolved;
+}
+
+/**
+ * Write tag changes from update params: tags replaces all tags, then
+ * add_tags and remove_tags are applied against what the item has now.
+ * Incoming names go through the tag resolver; skipped ones become warnings.
+ */
+export function applyTagChanges(things, item, params) {
+  const add = params.add_tags || [];
+  const remove = params.remove_tags || [];
+  if (params.tags === undefined && add.length === 0 && remove.length === 0) {
+    return;
   }
+  
+  const resolver = createTagResolver(things, params);
+  const base = params.tags !== undefined
+    ? resolver.resolve(params.tags || [])
+    : { names: parseTags(item.tagNames()), skipped: [] };
+  const added = resolver.resolve(add);
+  
+  item.tagNames = formatTags(editTags(base.names, added.names, remove));
+  warnSkippedTags([...base.skipped, ...added.skipped]);
+}
+
+/**
+ * Run an update for each of several IDs. One failing item does not stop the rest.
+ * Returns { updated, errors }.
+ */
+export function updateEach(ids, params, update) {
+  const updated = [];
+  const errors = [];
+  
+  for (const id of ids) {
+    try {
+      updated.push(update({ ...params, id, ids: undefined }));
+    } catch (e) {
+      errors.push({ id, message: e.message || String(e) });
+    }
+  }
+  
+  return { updated, errors };
 }
 
 /**
@@ -70,24 +397,185 @@ export function parseTags(tagString) {
   return tagString.split(',').map(t => t.trim()).filter(t => t);
 }
 
+/**
+ * Heading line that starts the checklist block in notes
+ */
+export const CHECKLIST_HEADER = 'Checklist:';
+
+const CHECKLIST_ITEM_PATTERN = /^- \[( |x)\] (.*)$/;
+
+/**
+ * Split notes into the free-form body and the trailing checklist block.
+ * Returns { body, items } where items are { title, completed }.
+ */
+export function parseChecklist(notes) {
+  if (!notes || typeof notes !== 'string') {
+    return { body: '', items: [] };
+  }
+  
+  const lines = notes.split('\n');
+  const headerIndex = lines.lastIndexOf(CHECKLIST_HEADER);
+  if (headerIndex === -1) {
+    return { body: notes, items: [] };
+  }
+  
+  const itemLines = lines.slice(headerIndex + 1).filter(line => line.trim());
+  const matches = itemLines.map(line => line.match(CHECKLIST_ITEM_PATTERN));
+  
+  // Only treat the block as a checklist if every line after the header is an item
+  if (matches.some(match => !match)) {
+    return { body: notes, items: [] };
+  }
+  
+  return {
+    body: lines.slice(0, headerIndex).join('\n').replace(/\s+$/, ''),
+    items: matches.map(match => ({ title: match[2], completed: match[1] === 'x' }))
+  };
+}
+
+/**
+ * Render notes body plus checklist items back into a single notes string
+ */
+export function formatChecklist(body, items) {
+  const text = body || '';
+  if (!items || items.length === 0) {
+    return text;
+  }
+  
+  const block = [CHECKLIST_HEADER]
+    .concat(items.map(item => `- [${item.completed ? 'x' : ' '}] ${item.title}`))
+    .join('\n');
+  
+  return text ? `${text}\n\n${block}` : block;
+}
+
+/**
+ * Merge new checklist titles into existing items.
+ * 'append' adds them after the existing items; 'replace' makes them the whole
+ * checklist, keeping the completion state of items whose title is unchanged.
+ */
+export function mergeChecklist(existing, titles, mode = 'replace') {
+  const added = titles.map(title => ({ title, completed: false }));
+  
+  if (mode === 'append') {
+    return existing.concat(added);
+  }
+  
+  return added.map(item => {
+    const previous = existing.find(e => e.title === item.title);
+    return previous ? { ...item, completed: previous.completed } : item;
+  });
+}
+
+/**
+ * Write checklist items to a todo.
+ * Things' scripting dictionary has no checklist class, so native checklists
+ * are written through the URL scheme when the server has an auth token.
+ * Otherwise (or when the todo already keeps its checklist in the notes) the
+ * items are kept as a formatted list at the end of the notes, where mapTodo
+ * reads them back.
+ */
+export function writeChecklist(todo, titles, mode = 'replace', useURLScheme = false) {
+  const { body, items } = parseChecklist(todo.notes() || '');
+  
+  if (useURLScheme && items.length === 0) {
+    deferToURLScheme('update', { id: todo.id(), child_tasks: titles, checklist_mode: mode });
+    return;
+  }
+  
+  if (items.length === 0 && titles.length > 0) {
+    addWarning('checklist_items',
+      'Native checklists need the Things auth token, so the items were added to the notes', titles);
+  }
+  
+  todo.notes = formatChecklist(body, mergeChecklist(items, titles, mode));
+}
+
+/**
+ * Write checklist items ({ title, completed }) to a todo, keeping completed
+ * ones where the checklist lives in the notes. Native checklist items can
+ * only be added open, so completed ones are reported instead.
+ */
+export function writeChecklistItems(todo, items, mode = 'replace', useURLScheme = false) {
+  writeChecklist(todo, items.map(item => item.title), mode, useURLScheme);
+  
+  const completed = items.filter(item => item.completed);
+  if (completed.length === 0) {
+    return;
+  }
+  
+  const inNotes = parseChecklist(todo.notes() || '');
+  if (inNotes.items.length > 0) {
+    const done = new Set(completed.map(item => item.title));
+    todo.notes = formatChecklist(inNotes.body, inNotes.items.map(item => (
+      done.has(item.title) ? { ...item, completed: true } : item
+    )));
+  } else {
+    addWarning('checklist_items', 'These were completed but are added as open checklist items',
+      completed.map(item => item.title));
+  }
+}
+
+/**
+ * Commands handed over to the Things URL scheme.
+ * The server sends them after the script has finished.
+ */
+const deferredCommands = [];
+
+/**
+ * Defer a URL scheme command ('add', 'update' or 'json') to the server
+ */
+export function deferToURLScheme(command, params) {
+  deferredCommands.push({ command, params });
+}
+
+/**
+ * Take all deferred commands, leaving the queue empty
+ */
+export function takeDeferredCommands() {
+  return deferredCommands.splice(0, deferredCommands.length);
+}
+
+/**
+ * Steps of an operation that were skipped or only partly applied.
+ * Returned next to the data so the caller can tell a partial success apart.
+ */
+const warnings = [];
+
+/**
+ * Record a warning: the step affected, why, and the value that was requested
+ */
+export function addWarning(step, reason, value) {
+  warnings.push({ step, reason, ...(value !== undefined && { value }) });
+}
+
+/**
+ * Take all warnings, leaving the list empty
+ */
+export function takeWarnings() {
+  return warnings.splice(0, warnings.length);
+}
 
 /**
  * Map todo object to response format
  */
 export function mapTodo(todo) {
+  const checklist = parseChecklist(todo.notes() || '');
   const result = {
     id: todo.id(),
     name: todo.name(),
     status: todo.status(),
-    notes: todo.notes() || '',
+    notes: checklist.body,
     tagNames: todo.tagNames() || '',  // Return as string per SDEF
     tags: parseTags(todo.tagNames()), // Also return as array for convenience
     deadline: getDate(todo, 'dueDate'),        // User-friendly: when actually due
     when: getDate(todo, 'activationDate'),     // User-friendly: when scheduled to work on
+    reminderTime: getReminderTime(todo),
     creationDate: getDate(todo, 'creationDate'),
     modificationDate: getDate(todo, 'modificationDate'),
     completionDate: getDate(todo, 'completionDate'),
-    cancellationDate: getDate(todo, 'cancellationDate')
+    cancellationDate: getDate(todo, 'cancellationDate'),
+    checklistItems: checklist.items
   };
   
   // Add project info if exists
@@ -133,6 +621,7 @@ export function mapProject(project) {
     tags: parseTags(project.tagNames()), // Also return as array for convenience
     deadline: getDate(project, 'dueDate'),        // User-friendly: when actually due
     when: getDate(project, 'activationDate'),     // User-friendly: when scheduled to work on
+    reminderTime: getReminderTime(project),
     creationDate: getDate(project, 'creationDate'),
     modificationDate: getDate(project, 'modificationDate'),
     completionDate: getDate(project, 'completionDate'),
@@ -172,6 +661,48 @@ export function mapProject(project) {
   return result;
 }
 
+/**
+ * Map tag object to response format
+ */
+export function mapTag(tag) {
+  let parent = null;
+  try {
+    const parentTag = tag.parentTag();
+    if (parentTag) {
+      parent = { id: parentTag.id(), name: parentTag.name() };
+    }
+  } catch (e) {
+    // Top-level tag
+  }
+  
+  return {
+    id: tag.id(),
+    name: tag.name(),
+    shortcut: tag.keyboardShortcut() || '',
+    parent
+  };
+}
+
+/**
+ * Nest mapped tags under their parents. Returns the top-level tags, each with
+ * a children array, in the order Things lists them.
+ */
+export function buildTagTree(tags) {
+  const nodes = new Map(tags.map(tag => [tag.id, {
+    id: tag.id,
+    name: tag.name,
+    shortcut: tag.shortcut,
+    children: []
+  }]));
+  
+  const roots = [];
+  for (const tag of tags) {
+    const parent = tag.parent ? nodes.get(tag.parent.id) : null;
+    (parent ? parent.children : roots).push(nodes.get(tag.id));
+  }
+  return roots;
+}
+
 /**
  * Map area object to response format
  */
@@ -196,6 +727,90 @@ export function safeGetList(things, listId) {
   }
 }
 
+/**
+ * Get an object by ID from a Things collection, failing loudly if missing.
+ * byId() is lazy in JXA, so the object is touched to verify it exists.
+ */
+export function getById(collection, id, label) {
+  try {
+    const item = collection.byId(id);
+    item.id();
+    return item;
+  } catch (e) {
+    throw new Error(`${label} with id ${id} not found`);
+  }
+}
+
+/**
+ * Get the kind of a Things item ('project' or 'todo')
+ */
+export function getItemType(item) {
+  try {
+    return item.class() === 'project' ? 'project' : 'todo';
+  } catch (e) {
+    return 'todo';
+  }
+}
+
+/**
+ * Resolve a destination from list_id / list_title parameters.
+ * Projects, areas and built-in lists are all valid destinations. Titles are
+ * matched exactly, then loosely (see matchByName); completed projects only
+ * count with include_completed_projects.
+ * Returns { list, type } or null when no destination was requested.
+ */
+export function resolveList(things, params) {
+  if (params.list_id) {
+    const collections = [
+      ['project', things.projects],
+      ['area', things.areas],
+      ['list', things.lists]
+    ];
+    
+    for (const [type, collection] of collections) {
+      try {
+        const list = collection.byId(params.list_id);
+        list.id();
+        return { list, type };
+      } catch (e) {
+        // Not in this collection, try the next one
+      }
+    }
+    
+    throw new Error(`List with id ${params.list_id} not found`);
+  }
+  
+  if (params.list_title) {
+    const candidates = [
+      ...projectCandidates(things, params.include_completed_projects),
+      ...toCandidates(() => things.areas(), 'area'),
+      ...toCandidates(() => things.lists(), 'list')
+    ];
+    
+    // Areas can also show up among the lists; keep the first entry per ID
+    const seen = new Set();
+    const unique = candidates.filter(candidate => !seen.has(candidate.id) && seen.add(candidate.id));
+    
+    const match = matchByName(unique, params.list_title, 'List');
+    return { list: match.item, type: match.type };
+  }
+  
+  return null;
+}
+
+/**
+ * Build a short deterministic token from a list of values.
+ * Used to confirm destructive operations against the exact set of items previewed.
+ */
+export function confirmationToken(values) {
+  const input = values.join('\n');
+  let hash = 5381;
+  for (let i = 0; i < input.length; i++) {
+    hash = ((hash << 5) + hash + input.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
 /**
  * Things list IDs constants
  */
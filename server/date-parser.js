@@ -0,0 +1,392 @@
+/**
+ * Date expression parser
+ *
+ * Resolves expressions such as "tomorrow", "next Friday", "in 3 days" or
+ * "end of month" to YYYY-MM-DD dates. Parsing is deterministic: "now", the
+ * time zone and the locale are all injectable. The locale decides which day a
+ * week starts on and whether numeric dates are read as day/month or month/day.
+ */
+
+import { SERVER_CONFIG } from "./server-config.js";
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  january: 1, jan: 1,
+  february: 2, feb: 2,
+  march: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5,
+  june: 6, jun: 6,
+  july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sep: 9, sept: 9,
+  october: 10, oct: 10,
+  november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Regions whose weeks start on Sunday (CLDR), used when Intl has no week info
+const SUNDAY_FIRST_REGIONS = new Set([
+  'AG', 'AS', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CO', 'DM', 'DO', 'ET',
+  'GT', 'GU', 'HK', 'HN', 'ID', 'IL', 'IN', 'JM', 'JP', 'KE', 'KH', 'KR', 'LA',
+  'MH', 'MM', 'MO', 'MT', 'MX', 'MZ', 'NI', 'NP', 'PA', 'PE', 'PH', 'PK', 'PR',
+  'PT', 'PY', 'SA', 'SG', 'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI', 'WS',
+  'YE', 'ZA', 'ZW'
+]);
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const COUNT_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+const UNIT_PATTERN = 'days?|weeks?|months?|years?';
+
+export class DateExpressionParser {
+  constructor(options = {}) {
+    this.now = options.now || (() => new Date());
+    this.timeZone = options.timeZone || SERVER_CONFIG.dates.timeZone;
+    this.locale = options.locale || SERVER_CONFIG.dates.locale;
+    this.weekStart = DateExpressionParser.getWeekStart(this.locale);
+    this.dayFirst = DateExpressionParser.isDayFirst(this.locale);
+  }
+  
+  /**
+   * Resolve an expression to a YYYY-MM-DD date string.
+   * Throws when the expression is not understood or names an invalid date.
+   */
+  parse(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Date expression must be a non-empty string');
+    }
+    
+    const text = DateExpressionParser.normalize(expression);
+    const today = this.today();
+    
+    const date =
+      this.parseAbsolute(text, today) ||
+      this.parseKeyword(text, today) ||
+      this.parseOffset(text, today) ||
+      this.parseWeekday(text, today) ||
+      this.parsePeriod(text, today);
+    
+    if (!date) {
+      throw new Error(
+        `Could not understand the date "${expression}". Use YYYY-MM-DD or an expression ` +
+        'like "tomorrow", "next Friday", "in 3 days", "March 15" or "end of month"'
+      );
+    }
+    
+    return DateExpressionParser.format(date);
+  }
+  
+  /**
+   * Today's calendar date in the configured time zone, as a UTC-midnight Date
+   */
+  today() {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    }).formatToParts(this.now());
+    
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    return new Date(Date.UTC(value('year'), value('month') - 1, value('day')));
+  }
+  
+  /**
+   * ISO dates, month names ("March 15", "15 Mar 2027") and numeric dates ("3/15")
+   */
+  parseAbsolute(text, today) {
+    let match = text.match(ISO_DATE);
+    if (match) {
+      return DateExpressionParser.makeDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    
+    match = text.match(new RegExp(`^(${MONTH_PATTERN}) (\\d{1,2})(?:,? (\\d{4}))?$`));
+    if (match) {
+      return this.resolveMonthDay(today, MONTHS[match[1]], Number(match[2]), match[3]);
+    }
+    
+    match = text.match(new RegExp(`^(\\d{1,2})(?: of)? (${MONTH_PATTERN})(?:,? (\\d{4}))?$`));
+    if (match) {
+      return this.resolveMonthDay(today, MONTHS[match[2]], Number(match[1]), match[3]);
+    }
+    
+    match = text.match(/^(\d{1,2})([/.])(\d{1,2})(?:\2(\d{4}|\d{2}))?$/);
+    if (match) {
+      const first = Number(match[1]);
+      const second = Number(match[3]);
+      const [day, month] = this.dayFirst ? [first, second] : [second, first];
+      return this.resolveMonthDay(today, month, day, match[4]);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * today, tomorrow, yesterday, day after tomorrow
+   */
+  parseKeyword(text, today) {
+    const offsets = {
+      today: 0,
+      tomorrow: 1,
+      tmrw: 1,
+      yesterday: -1,
+      'day after tomorrow': 2
+    };
+    
+    return text in offsets ? DateExpressionParser.addDays(today, offsets[text]) : null;
+  }
+  
+  /**
+   * "in 3 days", "2 weeks from now", "a month from today", "5 days ago"
+   */
+  parseOffset(text, today) {
+    let match = text.match(new RegExp(`^in (${COUNT_PATTERN}) (${UNIT_PATTERN})$`));
+    if (!match) {
+      match = text.match(new RegExp(`^(${COUNT_PATTERN}) (${UNIT_PATTERN}) from (?:now|today)$`));
+    }
+    
+    let sign = 1;
+    if (!match) {
+      match = text.match(new RegExp(`^(${COUNT_PATTERN}) (${UNIT_PATTERN}) ago$`));
+      sign = -1;
+    }
+    
+    if (!match) {
+      return null;
+    }
+    
+    const count = sign * (NUMBER_WORDS[match[1]] || Number(match[1]));
+    return DateExpressionParser.addUnits(today, count, match[2].replace(/s$/, ''));
+  }
+  
+  /**
+   * "friday" and "this friday" are the nearest Friday from today on;
+   * "next friday" is the Friday of next week
+   */
+  parseWeekday(text, today) {
+    const match = text.match(new RegExp(`^(?:(this|coming|next) )?(${WEEKDAY_PATTERN})$`));
+    if (!match) {
+      return null;
+    }
+    
+    const weekday = WEEKDAYS[match[2]];
+    
+    if (match[1] === 'next') {
+      const nextWeek = DateExpressionParser.addDays(this.startOfWeek(today), 7);
+      return DateExpressionParser.addDays(nextWeek, (weekday - this.weekStart + 7) % 7);
+    }
+    
+    return DateExpressionParser.addDays(today, (weekday - today.getUTCDay() + 7) % 7);
+  }
+  
+  /**
+   * Week, weekend, month and year boundaries:
+   * "next week", "this weekend", "end of month", "start of next year", "next month"
+   */
+  parsePeriod(text, today) {
+    let match = text.match(/^(?:(this|next) )?weekend$/);
+    if (match) {
+      const week = match[1] === 'next'
+        ? DateExpressionParser.addDays(this.startOfWeek(today), 7)
+        : today;
+      
+      // Already in the weekend: this weekend starts today
+      if (match[1] !== 'next' && (today.getUTCDay() === 6 || today.getUTCDay() === 0)) {
+        return today;
+      }
+      return DateExpressionParser.addDays(week, (6 - week.getUTCDay() + 7) % 7);
+    }
+    
+    match = text.match(/^next (week|month|year)$/);
+    if (match) {
+      return this.startOfPeriod(this.shiftPeriod(today, match[1], 1), match[1]);
+    }
+    
+    match = text.match(/^(end|start|beginning) of (?:the )?(?:(this|next) )?(week|month|year)$/);
+    if (match) {
+      const base = this.shiftPeriod(today, match[3], match[2] === 'next' ? 1 : 0);
+      return match[1] === 'end'
+        ? this.endOfPeriod(base, match[3])
+        : this.startOfPeriod(base, match[3]);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build a month/day date, defaulting the year to the next occurrence from today
+   */
+  resolveMonthDay(today, month, day, yearText) {
+    if (yearText) {
+      const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+      return DateExpressionParser.makeDate(year, month, day);
+    }
+    
+    const year = today.getUTCFullYear();
+    let date = DateExpressionParser.makeDate(year, month, day, false);
+    
+    // Feb 29 and other dates that do not exist this year are tried next year
+    if (!date || date < today) {
+      date = DateExpressionParser.makeDate(year + 1, month, day, false);
+    }
+    
+    // Feb 29 may be several years away
+    for (let offset = 2; !date && offset <= 4; offset++) {
+      date = DateExpressionParser.makeDate(year + offset, month, day, false);
+    }
+    
+    if (!date) {
+      throw new Error(`Invalid date: month ${month}, day ${day}`);
+    }
+    return date;
+  }
+  
+  startOfWeek(date) {
+    return DateExpressionParser.addDays(date, -((date.getUTCDay() - this.weekStart + 7) % 7));
+  }
+  
+  shiftPeriod(date, unit, count) {
+    return count === 0 ? date : DateExpressionParser.addUnits(date, count, unit);
+  }
+  
+  startOfPeriod(date, unit) {
+    switch (unit) {
+      case 'week':
+        return this.startOfWeek(date);
+      case 'month':
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+      default:
+        return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    }
+  }
+  
+  endOfPeriod(date, unit) {
+    switch (unit) {
+      case 'week':
+        return DateExpressionParser.addDays(this.startOfWeek(date), 6);
+      case 'month':
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+      default:
+        return new Date(Date.UTC(date.getUTCFullYear(), 11, 31));
+    }
+  }
+  
+  /**
+   * Lowercase, collapse whitespace and drop filler such as "on", "by" and ordinals
+   */
+  static normalize(expression) {
+    return expression
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/^(?:on|by|due) /, '')
+      .replace(/^the /, '')
+      .replace(/(\d+)(?:st|nd|rd|th)\b/g, '$1')
+      .replace(/\.$/, '');
+  }
+  
+  /**
+   * Create a UTC-midnight date, rejecting overflow such as February 30.
+   * Returns null instead of throwing when strict is false.
+   */
+  static makeDate(year, month, day, strict = true) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const valid = month >= 1 && month <= 12 &&
+      date.getUTCFullYear() === year &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day;
+    
+    if (!valid) {
+      if (strict) {
+        throw new Error(`Invalid date: ${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+      }
+      return null;
+    }
+    return date;
+  }
+  
+  static addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+  
+  /**
+   * Add days, weeks, months or years. Month and year steps clamp to the last
+   * day of the target month, so Jan 31 + 1 month is Feb 28 (or 29).
+   */
+  static addUnits(date, count, unit) {
+    switch (unit) {
+      case 'day':
+        return DateExpressionParser.addDays(date, count);
+      case 'week':
+        return DateExpressionParser.addDays(date, count * 7);
+      case 'month':
+      case 'year': {
+        const months = unit === 'year' ? count * 12 : count;
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+        return target;
+      }
+      default:
+        throw new Error(`Unknown date unit: ${unit}`);
+    }
+  }
+  
+  static format(date) {
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+  
+  /**
+   * First day of the week for a locale (0 = Sunday, 1 = Monday, ...)
+   */
+  static getWeekStart(locale) {
+    try {
+      const intlLocale = new Intl.Locale(locale);
+      const weekInfo = typeof intlLocale.getWeekInfo === 'function'
+        ? intlLocale.getWeekInfo()
+        : intlLocale.weekInfo;
+      
+      if (weekInfo && weekInfo.firstDay) {
+        return weekInfo.firstDay % 7;
+      }
+      
+      const region = intlLocale.maximize().region;
+      return SUNDAY_FIRST_REGIONS.has(region) ? 0 : 1;
+    } catch (e) {
+      return 1;
+    }
+  }
+  
+  /**
+   * Whether a locale writes numeric dates day first (15/3) rather than month first (3/15)
+   */
+  static isDayFirst(locale) {
+    try {
+      const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(Date.UTC(2000, 10, 22)));
+      const types = parts.map(part => part.type);
+      return types.indexOf('day') < types.indexOf('month');
+    } catch (e) {
+      return true;
+    }
+  }
+}
@@ -49,20 +49,34 @@ class ThingsServer {
       const { name, arguments: args } = request.params;
       
       try {
-        // Process parameters for consistency and validation
-        const processedArgs = ParameterProcessor.process(args || {});
+        // Resolve relative dates, then process parameters for consistency and validation
+        const { params: datedArgs, resolvedDates } = ParameterProcessor.resolveDates(args || {});
+        const processedArgs = ParameterProcessor.process(datedArgs);
         
         // Execute via modular JXA
-        const result = await this.jxaExecutor.execute(name, processedArgs);
+        const { data: result, warnings } = await this.jxaExecutor.execute(name, processedArgs);
         
-        return {
-          content: [
-            {
-              type: "text",
-              text: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
-            },
-          ],
+        const content = [
+          {
+            type: "text",
+            text: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+          },
+        ];
+        
+        // Echo back how relative dates were interpreted and which steps
+        // were skipped or only partly applied
+        const details = {
+          ...(Object.keys(resolvedDates).length > 0 && { resolvedDates }),
+          ...(warnings.length > 0 && { warnings })
         };
+        if (Object.keys(details).length > 0) {
+          content.push({
+            type: "text",
+            text: JSON.stringify(details, null, 2),
+          });
+        }
+        
+        return { content };
       } catch (error) {
         ThingsLogger.error(`Tool execution failed: ${name}`, { 
           error: error.message,
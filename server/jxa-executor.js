@@ -11,6 +11,8 @@ import { fileURLToPath } from "url";
 import { dirname } from "path";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 import { ThingsLogger } from "./utils.js";
+import { ThingsURLBuilder } from "./url-scheme.js";
+import { SERVER_CONFIG } from "./server-config.js";
 
 const execFileAsync = promisify(execFile);
 
@@ -24,10 +26,12 @@ export class JXAExecutor {
     this.scriptsDir = path.join(__dirname, '..', 'jxa', 'build');
     this.timeout = 30000;
     this.maxBuffer = 10 * 1024 * 1024; // 10MB
+    this.urlBuilder = new ThingsURLBuilder();
   }
   
   /**
-   * Execute JXA operation using pre-built bundled script
+   * Execute JXA operation using pre-built bundled script.
+   * Returns { data, warnings }, warnings listing steps that did not fully apply.
    */
   async execute(operation, params = {}) {
     const startTime = Date.now();
@@ -40,8 +44,29 @@ export class JXAExecutor {
       // Load the bundled script
       const script = await this.loadScript(operation);
       
-      // Execute with secure parameter passing
-      const result = await this.executeScript(script, params);
+      // A batch runs all its entries in one script, so it gets more time
+      const timeout = operation === 'batch' && Array.isArray(params.entries)
+        ? this.timeout + params.entries.length * SERVER_CONFIG.batch.timeoutPerEntry
+        : this.timeout;
+      
+      // Execute with secure parameter passing. Scripts are told whether the
+      // URL scheme is usable so they can hand over what JXA cannot do, and
+      // how to treat tag names that do not exist yet.
+      const { data: result, deferred, warnings } = await this.executeScript(script, {
+        ...params,
+        url_scheme_enabled: this.urlBuilder.hasAuthToken(),
+        unknown_tag_policy: SERVER_CONFIG.tags.unknownTagPolicy
+      }, timeout);
+      
+      // Send commands the script deferred to the URL scheme. The script's
+      // changes are already made, so a failed command becomes a warning.
+      for (const command of deferred) {
+        try {
+          await this.executeURLCommand(command.command, command.params);
+        } catch (error) {
+          warnings.push({ step: 'url_scheme', reason: error.message, value: command.command });
+        }
+      }
       
       const duration = Date.now() - startTime;
       ThingsLogger.debug(`JXA operation completed: ${operation}`, { 
@@ -49,8 +74,8 @@ export class JXAExecutor {
         resultSize: JSON.stringify(result).length
       });
       
-      return result;
-      
+      return { data: result, warnings };
+    
     } catch (error) {
       const duration = Date.now() - startTime;
       ThingsLogger.error(`JXA operation failed: ${operation}`, {
@@ -89,7 +114,7 @@ export class JXAExecutor {
   /**
    * Execute script with secure parameter passing via execFile
    */
-  async executeScript(script, params) {
+  async executeScript(script, params, timeout = this.timeout) {
     const args = [
       '-l', 'JavaScript',    // Use JXA
       '-e', script,          // Execute script
@@ -98,7 +123,7 @@ export class JXAExecutor {
     
     try {
       const { stdout, stderr } = await execFileAsync('osascript', args, {
-        timeout: this.timeout,
+        timeout,
         maxBuffer: this.maxBuffer,
       });
       
@@ -108,13 +133,13 @@ export class JXAExecutor {
       }
       
       return this.parseResponse(stdout);
-      
+    
     } catch (error) {
       // Enhanced error handling for common JXA issues
       if (error.code === 'ETIMEDOUT') {
         throw new McpError(
           ErrorCode.InternalError,
-          `JXA execution timed out after ${this.timeout}ms`
+          `JXA execution timed out after ${timeout}ms`
         );
       }
       
@@ -137,7 +162,28 @@ export class JXAExecutor {
   }
   
   /**
-   * Parse JXA response with error handling
+   * Send a command through the Things URL scheme.
+   * The URL is never logged because it may carry the auth token.
+   */
+  async executeURLCommand(command, params = {}) {
+    const url = this.urlBuilder.build(command, params);
+    
+    try {
+      await execFileAsync('open', ['-g', url], {
+        timeout: SERVER_CONFIG.urlScheme.timeout,
+      });
+      ThingsLogger.debug(`URL scheme command sent: ${command}`, {
+        params: Object.keys(params)
+      });
+    } catch (error) {
+      throw new Error(`Things URL scheme command '${command}' failed: ${error.message.replace(url, '<url>')}`);
+    }
+  }
+  
+  /**
+   * Parse JXA response with error handling.
+   * Returns the operation data plus any commands deferred to the URL scheme
+   * and any warnings.
    */
   parseResponse(stdout) {
     const response = stdout.trim();
@@ -155,12 +201,16 @@ export class JXAExecutor {
       }
       
       if (parsed.success === true) {
-        return parsed.data;
+        return {
+          data: parsed.data,
+          deferred: parsed.deferred || [],
+          warnings: parsed.warnings || []
+        };
       }
       
       // Legacy response format (direct data)
-      return parsed;
-      
+      return { data: parsed, deferred: [], warnings: [] };
+    
     } catch (parseError) {
       if (parseError.name === 'SyntaxError') {
         ThingsLogger.error("Invalid JSON response from JXA", { 
@@ -237,7 +287,7 @@ export class JXAExecutor {
       }
       
       ThingsLogger.debug("Build output", { stdout });
-      
+    
     } catch (error) {
       ThingsLogger.error("Build failed", { error: error.message });
       throw new Error(`Failed to rebuild JXA scripts: ${error.message}`);
@@ -11,6 +11,15 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8'));
 
+/**
+ * Read a value passed in from the extension settings.
+ * Unset settings may arrive as the literal "${user_config.*}" placeholder.
+ */
+function readUserConfig(envName) {
+  const value = process.env[envName] || '';
+  return value.startsWith('${') ? '' : value;
+}
+
 export const SERVER_CONFIG = {
   name: "things",
   version: packageJson.version,
@@ -23,6 +32,24 @@ export const SERVER_CONFIG = {
   },
   validation: {
     maxScriptSize: 1024 * 1024, // 1MB
+  },
+  batch: {
+    maxEntries: 50,
+    // Added to the JXA timeout for each entry, since a batch runs in one script
+    timeoutPerEntry: 1000,
+  },
+  urlScheme: {
+    authToken: readUserConfig('THINGS_AUTH_TOKEN'),
+    timeout: 10000,
+  },
+  tags: {
+    // What to do with tag names that do not exist yet: create, reject or warn
+    unknownTagPolicy: readUserConfig('THINGS_UNKNOWN_TAGS') || 'create',
+  },
+  dates: {
+    // Relative dates ("tomorrow", "next Friday") resolve against this zone and locale
+    timeZone: readUserConfig('THINGS_TIME_ZONE') || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    locale: readUserConfig('THINGS_LOCALE') || Intl.DateTimeFormat().resolvedOptions().locale,
   }
 };
 
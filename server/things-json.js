@@ -0,0 +1,229 @@
+/**
+ * Things JSON import format
+ *
+ * Validates payloads in the format documented for the things:///json URL
+ * command and turns them into the add/update params the JXA operations take,
+ * so existing templates can run through the server and report the IDs they
+ * create. Parameter processing is passed in to keep this module standalone.
+ */
+
+// Attributes supported per item type and operation. Attributes Things
+// accepts that the scripting interface cannot apply are rejected up front.
+const ATTRIBUTES = {
+  'to-do': {
+    create: [
+      'title', 'notes', 'when', 'deadline', 'tags', 'checklist-items',
+      'list-id', 'list', 'heading', 'completed', 'canceled'
+    ],
+    update: [
+      'title', 'notes', 'when', 'deadline', 'tags', 'add-tags', 'checklist-items', 'append-checklist-items',
+      'list-id', 'list', 'heading', 'completed', 'canceled'
+    ]
+  },
+  project: {
+    create: ['title', 'notes', 'when', 'deadline', 'tags', 'area-id', 'area', 'items', 'completed', 'canceled'],
+    update: ['title', 'notes', 'when', 'deadline', 'tags', 'add-tags', 'area-id', 'area', 'completed', 'canceled']
+  },
+  heading: {
+    create: ['title', 'archived']
+  },
+  'checklist-item': {
+    create: ['title', 'completed', 'canceled']
+  }
+};
+
+const STRING_ATTRIBUTES = ['title', 'notes', 'when', 'deadline', 'list-id', 'list', 'heading', 'area-id', 'area'];
+const BOOLEAN_ATTRIBUTES = ['completed', 'canceled', 'archived'];
+const STRING_ARRAY_ATTRIBUTES = ['tags', 'add-tags'];
+
+// Things JSON attribute names → tool parameter names
+const PARAMETER_MAP = {
+  title: 'title',
+  notes: 'notes',
+  when: 'when',
+  deadline: 'deadline',
+  tags: 'tags',
+  'add-tags': 'add_tags',
+  'list-id': 'list_id',
+  list: 'list_title',
+  heading: 'heading',
+  'area-id': 'area_id',
+  area: 'area_title',
+  completed: 'completed',
+  canceled: 'canceled',
+  archived: 'archived'
+};
+
+export class ThingsJSON {
+  /**
+   * Check a payload against the format. Throws naming the path of the first
+   * problem, e.g. "data[0].items[2].type".
+   */
+  static validate(data) {
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('data must be a non-empty array of Things JSON items');
+    }
+    data.forEach((item, index) => ThingsJSON.validateItem(item, `data[${index}]`, ['to-do', 'project']));
+  }
+  
+  /**
+   * Check one item and its nested items. allowedTypes depends on where it sits.
+   */
+  static validateItem(item, path, allowedTypes) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${path} must be an object`);
+    }
+    if (!allowedTypes.includes(item.type)) {
+      throw new Error(`${path}.type must be one of ${allowedTypes.join(', ')}`);
+    }
+    
+    const operation = item.operation === undefined ? 'create' : item.operation;
+    const allowed = ATTRIBUTES[item.type][operation];
+    if (!allowed) {
+      const operations = Object.keys(ATTRIBUTES[item.type]).join(' or ');
+      throw new Error(`${path}.operation must be ${operations} for a ${item.type}`);
+    }
+    if (operation === 'update' && (typeof item.id !== 'string' || !item.id)) {
+      throw new Error(`${path}.id is required to update a ${item.type}`);
+    }
+    
+    const attributes = item.attributes === undefined ? {} : item.attributes;
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw new Error(`${path}.attributes must be an object`);
+    }
+    
+    for (const [name, value] of Object.entries(attributes)) {
+      const attributePath = `${path}.attributes.${name}`;
+      if (!allowed.includes(name)) {
+        throw new Error(`${attributePath} is not supported for ${operation} ${item.type}. Use ${allowed.join(', ')}`);
+      }
+      if (STRING_ATTRIBUTES.includes(name) && typeof value !== 'string') {
+        throw new Error(`${attributePath} must be a string`);
+      }
+      if (BOOLEAN_ATTRIBUTES.includes(name) && typeof value !== 'boolean') {
+        throw new Error(`${attributePath} must be a boolean`);
+      }
+      if (STRING_ARRAY_ATTRIBUTES.includes(name) &&
+          (!Array.isArray(value) || value.some(tag => typeof tag !== 'string'))) {
+        throw new Error(`${attributePath} must be an array of strings`);
+      }
+    }
+    
+    if (operation === 'create' && (typeof attributes.title !== 'string' || !attributes.title.trim())) {
+      throw new Error(`${path}.attributes.title is required`);
+    }
+    
+    ThingsJSON.validateChildren(attributes.items, `${path}.items`, ['to-do', 'heading']);
+    ThingsJSON.validateChildren(attributes['checklist-items'], `${path}.checklist-items`, ['checklist-item']);
+    ThingsJSON.validateChildren(
+      attributes['append-checklist-items'], `${path}.append-checklist-items`, ['checklist-item']
+    );
+  }
+  
+  /**
+   * Check nested items (project items or checklist items), which can only be created
+   */
+  static validateChildren(children, path, allowedTypes) {
+    if (children === undefined) {
+      return;
+    }
+    if (!Array.isArray(children)) {
+      throw new Error(`${path} must be an array`);
+    }
+    
+    children.forEach((child, index) => {
+      ThingsJSON.validateItem(child, `${path}[${index}]`, allowedTypes);
+      if (child.operation === 'update') {
+        throw new Error(`${path}[${index}].operation must be create for nested items`);
+      }
+    });
+  }
+  
+  /**
+   * Resolve date expressions in every item's when and deadline.
+   * resolve(attributes) returns { params, resolvedDates } like
+   * ParameterProcessor.resolveDates. Returns { data, resolvedDates } with
+   * resolvedDates keyed by item path, e.g. "data[0].items[1].when".
+   */
+  static resolveDates(data, resolve) {
+    const resolvedDates = {};
+    
+    const visit = (item, path) => {
+      if (!item || typeof item !== 'object' || !item.attributes || typeof item.attributes !== 'object') {
+        return item;
+      }
+      
+      let result;
+      try {
+        result = resolve(item.attributes);
+      } catch (error) {
+        throw new Error(`${path}.attributes.${error.message}`);
+      }
+      for (const [field, entry] of Object.entries(result.resolvedDates)) {
+        resolvedDates[`${path}.${field}`] = entry;
+      }
+      
+      const attributes = result.params;
+      if (Array.isArray(attributes.items)) {
+        attributes.items = attributes.items.map((child, index) => visit(child, `${path}.items[${index}]`));
+      }
+      return { ...item, attributes };
+    };
+    
+    return {
+      data: Array.isArray(data) ? data.map((item, index) => visit(item, `data[${index}]`)) : data,
+      resolvedDates
+    };
+  }
+  
+  /**
+   * Validate a payload and turn it into operations for JXA:
+   * { position, type, operation, id?, params, items? }, where params are tool
+   * parameters run through process (title → name, when → activation_date, ...)
+   * and checklist items become params.checklist ({ title, completed }).
+   */
+  static toOperations(data, process) {
+    ThingsJSON.validate(data);
+    
+    const convert = (item, position) => {
+      const operation = item.operation || 'create';
+      const attributes = item.attributes || {};
+      
+      const params = {};
+      for (const [name, value] of Object.entries(attributes)) {
+        if (PARAMETER_MAP[name]) {
+          params[PARAMETER_MAP[name]] = value;
+        }
+      }
+      
+      const checklist = attributes['checklist-items'] || attributes['append-checklist-items'];
+      if (checklist) {
+        params.checklist = checklist.map(entry => ({
+          title: entry.attributes.title,
+          completed: entry.attributes.completed === true || entry.attributes.canceled === true
+        }));
+        params.checklist_mode = attributes['append-checklist-items'] ? 'append' : 'replace';
+      }
+      
+      let processed;
+      try {
+        processed = process(params);
+      } catch (error) {
+        throw new Error(`${position}: ${error.message}`);
+      }
+      
+      return {
+        position,
+        type: item.type,
+        operation,
+        ...(item.id && { id: item.id }),
+        params: processed,
+        ...(attributes.items && {
+          items: attributes.items.map((child, index) => convert(child, `${position}.items[${index}]`))
+        })
+      };
+    };
+    
+    return data.map((item, index) => convert(item, `data[${index}]`));
+  }
+}
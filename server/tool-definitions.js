@@ -21,11 +21,11 @@ export const TOOL_DEFINITIONS = [
         },
         when: {
           type: "string",
-          description: "Optional when date (when scheduled to work on) in YYYY-MM-DD format"
+          description: "Optional when (when scheduled to work on): YYYY-MM-DD, a date expression like next Friday or in 3 days, or today, evening, tomorrow, anytime or someday to file it in that list. Add @time for a reminder, e.g. 2026-10-20@18:00 or today@9am"
         },
         deadline: {
           type: "string",
-          description: "Optional deadline (when actually due) in YYYY-MM-DD format"
+          description: "Optional deadline (when actually due): YYYY-MM-DD or an expression like end of month or March 15"
         },
         tags: {
           type: "array",
@@ -43,11 +43,15 @@ export const TOOL_DEFINITIONS = [
         },
         list_title: {
           type: "string",
-          description: "Optional list title (project or area name) to add the to-do to"
+          description: "Optional list title (project or area name) to add the to-do to. Matched ignoring case and accents; an unknown or ambiguous title is an error"
+        },
+        include_completed_projects: {
+          type: "boolean",
+          description: "Also match list_title against completed and canceled projects (default: false)"
         },
         heading: {
           type: "string",
-          description: "Optional heading within the project to add the to-do under"
+          description: "Optional existing heading within the project (given by list_id or list_title) to add the to-do under. Filed through the Things URL scheme, so it needs the auth token; Things leaves the to-do outside any heading if the project has no heading with this title"
         }
       },
       required: ["title"]
@@ -69,11 +73,11 @@ export const TOOL_DEFINITIONS = [
         },
         when: {
           type: "string",
-          description: "Optional when date (when scheduled to work on) in YYYY-MM-DD format"
+          description: "Optional when (when scheduled to work on): YYYY-MM-DD, a date expression like next Friday or in 3 days, or today, evening, tomorrow, anytime or someday to file it in that list. Add @time for a reminder, e.g. 2026-10-20@18:00 or today@9am"
         },
         deadline: {
           type: "string",
-          description: "Optional deadline (when actually due) in YYYY-MM-DD format"
+          description: "Optional deadline (when actually due): YYYY-MM-DD or an expression like end of month or March 15"
         },
         tags: {
           type: "array",
@@ -86,12 +90,25 @@ export const TOOL_DEFINITIONS = [
         },
         area_title: {
           type: "string",
-          description: "Optional area title to add the project to"
+          description: "Optional area title to add the project to. An unknown or ambiguous title is an error"
         },
         todos: {
           type: "array",
-          items: { type: "string" },
-          description: "Optional array of to-do titles to add to the project"
+          items: {
+            // A title, or an object (properties only apply to objects)
+            type: ["string", "object"],
+            properties: {
+              title: { type: "string", description: "The title of the to-do" },
+              notes: { type: "string", description: "Notes for the to-do" },
+              when: { type: "string", description: "When to work on the to-do, as for add_todo" },
+              deadline: { type: "string", description: "Deadline for the to-do, as for add_todo" },
+              tags: { type: "array", items: { type: "string" }, description: "Tags for the to-do" },
+              checklist_items: { type: "array", items: { type: "string" }, description: "Checklist items" },
+              heading: { type: "string", description: "Heading to file the to-do under, created with the project" }
+            },
+            required: ["title"]
+          },
+          description: "Optional to-dos to add to the project, in order. Each is a title or an object with title, notes, when, deadline, tags, checklist_items and heading. A to-do that fails is reported in warnings without stopping the rest. With headings the project is created through the Things URL scheme, so the result has no ID"
         }
       },
       required: ["title"]
@@ -167,10 +184,95 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: "get_tags",
-    description: "Get all tags from Things",
+    description: "Get all tags from Things, optionally as a tree of nested tags",
     inputSchema: {
       type: "object",
-      properties: {}
+      properties: {
+        as_tree: {
+          type: "boolean",
+          description: "Return the tag hierarchy with IDs, shortcuts and child tags instead of a flat list of names (default: false)"
+        }
+      }
+    }
+  },
+  {
+    name: "add_tag",
+    description: "Create a new tag in Things, optionally nested under a parent tag",
+    inputSchema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "The name of the tag"
+        },
+        parent_tag: {
+          type: "string",
+          description: "Optional name of the parent tag"
+        },
+        parent_tag_id: {
+          type: "string",
+          description: "Optional ID of the parent tag"
+        },
+        shortcut: {
+          type: "string",
+          description: "Optional keyboard shortcut for the tag"
+        }
+      },
+      required: ["title"]
+    }
+  },
+  {
+    name: "update_tag",
+    description: "Update a tag in Things: rename it, move it under another parent or set its shortcut",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the tag to update"
+        },
+        tag_title: {
+          type: "string",
+          description: "The current name of the tag to update (alternative to id)"
+        },
+        title: {
+          type: "string",
+          description: "New name for the tag. Items keep the tag under its new name"
+        },
+        parent_tag: {
+          type: "string",
+          description: "Name of the tag to move this tag under"
+        },
+        parent_tag_id: {
+          type: "string",
+          description: "ID of the tag to move this tag under"
+        },
+        remove_parent: {
+          type: "boolean",
+          description: "Move the tag to the top level"
+        },
+        shortcut: {
+          type: "string",
+          description: "Keyboard shortcut for the tag. Empty string removes it"
+        }
+      }
+    }
+  },
+  {
+    name: "delete_tag",
+    description: "Delete a tag in Things, removing it from all items along with its child tags",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the tag to delete"
+        },
+        tag_title: {
+          type: "string",
+          description: "The name of the tag to delete (alternative to id)"
+        }
+      }
     }
   },
   {
@@ -211,6 +313,14 @@ export const TOOL_DEFINITIONS = [
       }
     }
   },
+  {
+    name: "log_completed",
+    description: "Move completed and canceled to-dos and projects into the Logbook now instead of waiting for Things to do it",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    }
+  },
   {
     name: "get_trash",
     description: "Get trashed todos",
@@ -219,18 +329,94 @@ export const TOOL_DEFINITIONS = [
       properties: {}
     }
   },
+  {
+    name: "restore_from_trash",
+    description: "Restore trashed to-dos or projects to a list, project or area",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of the trashed to-dos or projects to restore"
+        },
+        list_id: {
+          type: "string",
+          description: "Optional ID of the list, project or area to restore into (defaults to Inbox for to-dos, Anytime for projects)"
+        },
+        list_title: {
+          type: "string",
+          description: "Optional title of the list, project or area to restore into"
+        }
+      },
+      required: ["ids"]
+    }
+  },
+  {
+    name: "empty_trash",
+    description: "Permanently delete everything in the Trash. Returns a preview and confirmation token unless the token is given",
+    inputSchema: {
+      type: "object",
+      properties: {
+        confirmation_token: {
+          type: "string",
+          description: "Token from a previous preview. The Trash is only emptied when it matches its current contents"
+        },
+        older_than_days: {
+          type: "integer",
+          description: "Also count the items trashed at least this many days ago in the preview. Emptying always deletes everything in the Trash",
+          minimum: 0
+        }
+      }
+    }
+  },
+  {
+    name: "maintain_tags",
+    description: "Get a tag usage report with unused tags, or merge one tag into another and delete it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["report", "merge"],
+          description: "report (default): count open to-dos, completed to-dos, projects and areas per tag and list unused tags. merge: retag items from source_tag to target_tag, then delete source_tag"
+        },
+        source_tag: {
+          type: "string",
+          description: "Tag to merge away (with action: merge)"
+        },
+        target_tag: {
+          type: "string",
+          description: "Tag to merge into (with action: merge)"
+        }
+      }
+    }
+  },
   {
     name: "get_tagged_items",
-    description: "Get items with a specific tag",
+    description: "Get to-dos, projects and areas with one or more tags, optionally including child tags",
     inputSchema: {
       type: "object",
       properties: {
         tag_title: {
           type: "string",
           description: "The tag title to filter by"
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Several tag titles to filter by, combined according to match (instead of tag_title)"
+        },
+        match: {
+          type: "string",
+          enum: ["any", "all", "none"],
+          description: "any (default): items with at least one of the tags. all: items with every tag. none: items with none of the tags"
+        },
+        include_child_tags: {
+          type: "boolean",
+          description: "Also match tags nested below the given tags (default: false)"
         }
-      },
-      required: ["tag_title"]
+      }
     }
   },
   {
@@ -302,6 +488,11 @@ export const TOOL_DEFINITIONS = [
           type: "string",
           description: "The ID of the to-do to update"
         },
+        ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of several to-dos to update with the same changes (instead of id)"
+        },
         title: {
           type: "string",
           description: "Optional new title for the to-do item"
@@ -312,22 +503,38 @@ export const TOOL_DEFINITIONS = [
         },
         when: {
           type: "string",
-          description: "Optional when date (when scheduled to work on) in YYYY-MM-DD format"
+          description: "Optional when (when scheduled to work on): YYYY-MM-DD, a date expression like next Friday or in 3 days, or today, evening, tomorrow, anytime or someday to file it in that list. Use clear to remove the date. Add @time for a reminder, e.g. 2026-10-20@18:00 or today@9am"
         },
         deadline: {
           type: "string",
-          description: "Optional deadline (when actually due) in YYYY-MM-DD format"
+          description: "Optional deadline (when actually due): YYYY-MM-DD or an expression like end of month or March 15"
         },
         tags: {
           type: "array",
           items: { type: "string" },
-          description: "Optional array of tag names"
+          description: "Optional array of tag names (replaces all tags)"
+        },
+        add_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional tag names to add to the current tags"
+        },
+        remove_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional tag names to remove from the current tags"
         },
         checklist_items: {
           type: "array",
           items: { type: "string" },
           description: "Optional array of checklist items"
         },
+        checklist_mode: {
+          type: "string",
+          enum: ["replace", "append"],
+          description: "Whether checklist_items replace the existing checklist or are appended to it",
+          default: "replace"
+        },
         completed: {
           type: "boolean",
           description: "Mark as completed"
@@ -335,9 +542,17 @@ export const TOOL_DEFINITIONS = [
         canceled: {
           type: "boolean",
           description: "Mark as canceled"
+        },
+        status: {
+          type: "string",
+          enum: ["open", "completed", "canceled"],
+          description: "Set the status. Use open to reopen a completed or canceled item"
+        },
+        completion_date: {
+          type: "string",
+          description: "Backdate the completion (or cancellation): YYYY-MM-DD or an expression like yesterday or 3 days ago. Not in the future"
         }
-      },
-      required: ["id"]
+      }
     }
   },
   {
@@ -350,6 +565,11 @@ export const TOOL_DEFINITIONS = [
           type: "string",
           description: "The ID of the project to update"
         },
+        ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of several projects to update with the same changes (instead of id)"
+        },
         title: {
           type: "string",
           description: "Optional new name for the project"
@@ -360,16 +580,26 @@ export const TOOL_DEFINITIONS = [
         },
         when: {
           type: "string",
-          description: "Optional when date (when scheduled to work on) in YYYY-MM-DD format"
+          description: "Optional when (when scheduled to work on): YYYY-MM-DD, a date expression like next Friday or in 3 days, or today, evening, tomorrow, anytime or someday to file it in that list. Use clear to remove the date. Add @time for a reminder, e.g. 2026-10-20@18:00 or today@9am"
         },
         deadline: {
           type: "string",
-          description: "Optional deadline (when actually due) in YYYY-MM-DD format"
+          description: "Optional deadline (when actually due): YYYY-MM-DD or an expression like end of month or March 15"
         },
         tags: {
           type: "array",
           items: { type: "string" },
-          description: "Optional array of tag names"
+          description: "Optional array of tag names (replaces all tags)"
+        },
+        add_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional tag names to add to the current tags"
+        },
+        remove_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional tag names to remove from the current tags"
         },
         completed: {
           type: "boolean",
@@ -378,11 +608,343 @@ export const TOOL_DEFINITIONS = [
         canceled: {
           type: "boolean",
           description: "Mark as canceled"
+        },
+        status: {
+          type: "string",
+          enum: ["open", "completed", "canceled"],
+          description: "Set the status. Use open to reopen a completed or canceled item"
+        },
+        completion_date: {
+          type: "string",
+          description: "Backdate the completion (or cancellation): YYYY-MM-DD or an expression like yesterday or 3 days ago. Not in the future"
+        }
+      }
+    }
+  },
+  {
+    name: "update_matching",
+    description: "Update every to-do and project matching a filter with one patch. Returns a preview and confirmation token unless the token is given",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filter: {
+          type: "object",
+          description: "Which items to update. All given criteria must match; only open items unless status is given",
+          properties: {
+            list_id: { type: "string", description: "ID of a built-in list, project or area the items are in" },
+            list_title: { type: "string", description: "Name of a built-in list, project or area the items are in" },
+            include_completed_projects: {
+              type: "boolean",
+              description: "Also match list_title against completed and canceled projects (default: false)"
+            },
+            type: { type: "string", enum: ["todo", "project"], description: "Only to-dos or only projects" },
+            tag: { type: "string", description: "Tag the items have" },
+            status: { type: "string", enum: ["open", "completed", "canceled"], description: "Item status (default: open)" },
+            text: { type: "string", description: "Text in the title or notes" },
+            deadline_after: { type: "string", description: "Deadline on or after this date: YYYY-MM-DD or an expression" },
+            deadline_before: { type: "string", description: "Deadline on or before this date: YYYY-MM-DD or an expression" }
+          }
+        },
+        patch: {
+          type: "object",
+          description: "Changes applied to each item, the same as in update_todo and move_item",
+          properties: {
+            add_tags: { type: "array", items: { type: "string" }, description: "Tag names to add" },
+            remove_tags: { type: "array", items: { type: "string" }, description: "Tag names to remove" },
+            when: { type: "string", description: "New when: a date, expression, or today, evening, tomorrow, anytime, someday or clear" },
+            deadline: { type: "string", description: "New deadline: YYYY-MM-DD or an expression. Empty string removes it" },
+            list_id: { type: "string", description: "ID of a list, project or area to move the items to" },
+            list_title: { type: "string", description: "Name of a list, project or area to move the items to" },
+            include_completed_projects: {
+              type: "boolean",
+              description: "Also match list_title against completed and canceled projects (default: false)"
+            },
+            heading: { type: "string", description: "Existing heading in the destination project. Needs the URL scheme auth token" },
+            status: { type: "string", enum: ["open", "completed", "canceled"], description: "New status" },
+            completion_date: { type: "string", description: "Backdate the completion: YYYY-MM-DD or an expression" }
+          }
+        },
+        confirmation_token: {
+          type: "string",
+          description: "Token from a previous preview. Changes are only applied when it matches the current matches and patch"
+        }
+      },
+      required: ["filter", "patch"]
+    }
+  },
+  {
+    name: "move_item",
+    description: "Move a to-do or project to a different list, project, area or heading",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the to-do or project to move"
+        },
+        list_id: {
+          type: "string",
+          description: "ID of the destination project, area or built-in list (Inbox, Anytime, Someday)"
+        },
+        list_title: {
+          type: "string",
+          description: "Title of the destination project, area or built-in list. Matched ignoring case and accents; an unknown or ambiguous title is an error"
+        },
+        include_completed_projects: {
+          type: "boolean",
+          description: "Also match list_title against completed and canceled projects (default: false)"
+        },
+        heading: {
+          type: "string",
+          description: "Optional existing heading within the destination project (to-dos only). Filed through the Things URL scheme, so it needs the auth token"
+        },
+        remove_from_area: {
+          type: "boolean",
+          description: "Take a project out of its area (projects only)"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "duplicate_item",
+    description: "Duplicate a to-do or a whole project, including notes, tags and child to-dos",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the to-do or project to duplicate"
+        },
+        title: {
+          type: "string",
+          description: "Optional new title for the copy"
+        },
+        list_id: {
+          type: "string",
+          description: "Optional ID of the project, area or built-in list to place the copy in"
+        },
+        list_title: {
+          type: "string",
+          description: "Optional title of the project, area or built-in list to place the copy in"
+        },
+        include_completed_projects: {
+          type: "boolean",
+          description: "Also match list_title against completed and canceled projects (default: false)"
+        },
+        heading: {
+          type: "string",
+          description: "Optional existing heading within the destination project (to-dos only). Needs the URL scheme auth token"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "convert_to_project",
+    description: "Convert a to-do into a project with the same title, notes, tags, schedule, deadline and area. Checklist items become to-dos; the to-do goes to the Trash",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the to-do to convert"
+        },
+        discard_checklist: {
+          type: "boolean",
+          description: "Convert even though a native checklist, which cannot be read, would be lost. Needed whenever the notes hold no checklist"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "convert_to_todo",
+    description: "Convert a project whose to-dos are plain titles back into a to-do with the same details. Its to-dos become checklist items; the project goes to the Trash",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the project to convert"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "merge_projects",
+    description: "Merge one or more projects into a target project: moves all their to-dos (outside any heading, which scripts cannot see), combines notes and tags, and trashes the emptied sources",
+    inputSchema: {
+      type: "object",
+      properties: {
+        target_id: {
+          type: "string",
+          description: "ID of the project to merge into"
+        },
+        target_title: {
+          type: "string",
+          description: "Title of the project to merge into"
+        },
+        source_ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of the projects to merge into the target"
+        },
+        source_titles: {
+          type: "array",
+          items: { type: "string" },
+          description: "Titles of the projects to merge into the target"
+        },
+        include_completed_projects: {
+          type: "boolean",
+          description: "Also match titles against completed and canceled projects (default: false)"
+        }
+      }
+    }
+  },
+  {
+    name: "things_json",
+    description: "Create and update to-dos and projects from a payload in the Things JSON import format, reporting the ID created for each item",
+    inputSchema: {
+      type: "object",
+      properties: {
+        data: {
+          type: "array",
+          items: { type: "object" },
+          description: "Things JSON items: objects with type (to-do or project), optional operation (create or update), id for updates, and attributes. Projects can hold to-do and heading items; a new project with headings is created through the Things URL scheme and reported without IDs"
+        }
+      },
+      required: ["data"]
+    }
+  },
+  {
+    name: "batch",
+    description: "Run several tool operations in order in one Things script run, e.g. to create or get many items at once. Entries can use results of earlier ones, like \"$0.id\"",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entries: {
+          type: "array",
+          description: "Operations to run, in order. In params, a string like \"$0.id\" is replaced by that field of entry 0's result",
+          items: {
+            type: "object",
+            properties: {
+              operation: { type: "string", description: "Tool name, e.g. add_todo or show_item" },
+              params: { type: "object", description: "The tool's parameters" }
+            },
+            required: ["operation"]
+          }
+        }
+      },
+      required: ["entries"]
+    }
+  },
+  {
+    name: "delete_todo",
+    description: "Delete a to-do in Things by moving it to the Trash. Project IDs are refused; use delete_project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the to-do to delete"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "delete_project",
+    description: "Delete a project in Things by moving it and its to-dos to the Trash",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the project to delete"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "add_area",
+    description: "Create a new area in Things",
+    inputSchema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "The name of the area"
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional array of tag names"
+        },
+        collapsed: {
+          type: "boolean",
+          description: "Optional: collapse the area in the sidebar"
+        }
+      },
+      required: ["title"]
+    }
+  },
+  {
+    name: "update_area",
+    description: "Update an existing area in Things: rename, retag or collapse it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the area to update"
+        },
+        title: {
+          type: "string",
+          description: "New name for the area"
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Tags for the area (replaces existing tags, empty array removes all)"
+        },
+        collapsed: {
+          type: "boolean",
+          description: "Collapse (true) or expand (false) the area in the sidebar"
         }
       },
       required: ["id"]
     }
   },
+  {
+    name: "delete_area",
+    description: "Delete an area in Things, moving its projects and to-dos to another area or trashing them",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The ID of the area to delete"
+        },
+        contents: {
+          type: "string",
+          enum: ["trash", "move"],
+          description: "What happens to the area's projects and to-dos: trash them with the area or move them to another area"
+        },
+        target_area_id: {
+          type: "string",
+          description: "ID of the area to move the contents to (with contents: move)"
+        },
+        target_area_title: {
+          type: "string",
+          description: "Name of the area to move the contents to (with contents: move)"
+        }
+      },
+      required: ["id", "contents"]
+    }
+  },
   {
     name: "show_item",
     description: "Show details of a specific item",
@@ -0,0 +1,176 @@
+/**
+ * Things URL scheme command builder
+ *
+ * Builds things:/// URLs for features the scripting interface cannot reach
+ * (checklists, reminders, headings, bulk JSON). Construction is pure so it can
+ * be tested without opening anything; JXAExecutor does the opening.
+ */
+
+import { SERVER_CONFIG } from "./server-config.js";
+
+const URL_BASE = 'things:///';
+
+// Internal parameter names → Things URL scheme parameter names
+const PARAMETER_MAP = {
+  name: 'title',
+  notes: 'notes',
+  activation_date: 'when',
+  due_date: 'deadline',
+  list_id: 'list-id',
+  list_title: 'list',
+  area_id: 'area-id',
+  area_title: 'area',
+  heading: 'heading',
+  completed: 'completed',
+  canceled: 'canceled',
+  reveal: 'reveal'
+};
+
+export class ThingsURLBuilder {
+  constructor(authToken = SERVER_CONFIG.urlScheme.authToken) {
+    this.authToken = authToken || '';
+  }
+
+  /**
+   * Whether commands that modify existing items can be built
+   */
+  hasAuthToken() {
+    return this.authToken.length > 0;
+  }
+
+  /**
+   * Build a URL for a command name ('add', 'update', 'update-project' or 'json')
+   */
+  build(command, params = {}) {
+    switch (command) {
+      case 'add':
+        return this.buildAdd(params);
+      case 'update':
+        return this.buildUpdate(params);
+      case 'update-project':
+        return this.buildUpdateProject(params);
+      case 'json':
+        return this.buildJson(params.data, params);
+      default:
+        throw new Error(`Unsupported URL scheme command: ${command}`);
+    }
+  }
+
+  /**
+   * Build a things:///add URL for a new to-do
+   */
+  buildAdd(params) {
+    if (!params.name) {
+      throw new Error('name is required for the add command');
+    }
+
+    const query = ThingsURLBuilder.mapParameters(params);
+    if (params.child_tasks && params.child_tasks.length > 0) {
+      query['checklist-items'] = params.child_tasks.join('\n');
+    }
+
+    return ThingsURLBuilder.toURL('add', query);
+  }
+
+  /**
+   * Build a things:///update URL for an existing to-do.
+   * Requires the auth token from the extension settings.
+   */
+  buildUpdate(params) {
+    const query = this.updateQuery('update', params);
+
+    if (params.child_tasks !== undefined) {
+      const key = params.checklist_mode === 'append' ? 'append-checklist-items' : 'checklist-items';
+      query[key] = params.child_tasks.join('\n');
+    }
+
+    return ThingsURLBuilder.toURL('update', query);
+  }
+
+  /**
+   * Build a things:///update-project URL for an existing project.
+   * Requires the auth token from the extension settings.
+   */
+  buildUpdateProject(params) {
+    return ThingsURLBuilder.toURL('update-project', this.updateQuery('update-project', params));
+  }
+
+  /**
+   * Common query for commands that modify an existing item
+   */
+  updateQuery(command, params) {
+    if (!params.id) {
+      throw new Error(`id is required for the ${command} command`);
+    }
+    this.requireAuthToken(command);
+
+    return {
+      id: params.id,
+      'auth-token': this.authToken,
+      ...ThingsURLBuilder.mapParameters(params)
+    };
+  }
+
+  /**
+   * Build a things:///json URL from an array of Things JSON items.
+   * The auth token is only attached when an item updates existing data.
+   */
+  buildJson(items, options = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('json command requires a non-empty array of items');
+    }
+
+    const query = { data: JSON.stringify(items) };
+
+    if (items.some(item => item.operation === 'update')) {
+      this.requireAuthToken('json update');
+      query['auth-token'] = this.authToken;
+    }
+
+    if (options.reveal !== undefined) {
+      query.reveal = options.reveal;
+    }
+
+    return ThingsURLBuilder.toURL('json', query);
+  }
+
+  requireAuthToken(command) {
+    if (!this.hasAuthToken()) {
+      throw new Error(
+        `The Things URL scheme ${command} command needs an auth token. ` +
+        'Copy it from Things > Settings > General > Enable Things URLs and add it to the extension settings.'
+      );
+    }
+  }
+
+  /**
+   * Convert internal parameters to URL scheme query parameters
+   */
+  static mapParameters(params) {
+    const query = {};
+
+    for (const [key, urlKey] of Object.entries(PARAMETER_MAP)) {
+      if (params[key] !== undefined && params[key] !== null) {
+        query[urlKey] = params[key];
+      }
+    }
+
+    if (params.tags !== undefined && params.tags !== null) {
+      query.tags = params.tags.join(',');
+    }
+
+    return query;
+  }
+
+  /**
+   * Assemble the final URL. Things expects %20 for spaces, so every key and
+   * value goes through encodeURIComponent rather than URLSearchParams.
+   */
+  static toURL(command, query) {
+    const pairs = Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`);
+
+    return pairs.length > 0 ? `${URL_BASE}${command}?${pairs.join('&')}` : `${URL_BASE}${command}`;
+  }
+}
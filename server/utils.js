@@ -4,6 +4,29 @@
  */
 
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { DateExpressionParser } from "./date-parser.js";
+import { ThingsJSON } from "./things-json.js";
+import { SERVER_CONFIG } from "./server-config.js";
+
+// User-facing date fields that accept natural-language expressions
+const DATE_FIELDS = ['when', 'deadline', 'completion_date'];
+
+// Values accepted by the status parameter of update_todo/update_project
+const STATUS_VALUES = ['open', 'completed', 'canceled'];
+
+// update_matching: what a filter can match on and what a patch can change
+const FILTER_FIELDS = [
+  'list_id', 'list_title', 'include_completed_projects', 'type', 'tag', 'status', 'text',
+  'deadline_after', 'deadline_before'
+];
+const FILTER_DATE_FIELDS = ['deadline_after', 'deadline_before'];
+const PATCH_FIELDS = [
+  'add_tags', 'remove_tags', 'when', 'deadline', 'list_id', 'list_title', 'include_completed_projects', 'heading',
+  'status', 'completion_date'
+];
+
+// when values that name a Things list rather than a date; JXA handles these itself
+export const SYMBOLIC_WHEN_VALUES = ['today', 'evening', 'tomorrow', 'anytime', 'someday', 'clear'];
 
 export class ThingsLogger {
   static debug(message, data = {}) {
@@ -65,14 +88,90 @@ export class InputValidator {
       throw new Error(`${fieldName} must be in YYYY-MM-DD format`);
     }
     
+    // Date rolls days past the end of a month over ("2026-02-30" is March 2)
     const date = new Date(value + 'T00:00:00');
-    if (isNaN(date.getTime())) {
+    if (isNaN(date.getTime()) || InputValidator.formatLocalDate(date) !== value) {
       throw new Error(`${fieldName} is not a valid date`);
     }
     
     return value;
   }
   
+  /**
+   * Validate a when value with an optional reminder time, e.g. "2026-10-20@18:00",
+   * "today@9am" or "evening@19:30". Returns { date, reminderTime } with the time
+   * as 24-hour HH:MM.
+   */
+  static validateWhenInput(value, fieldName) {
+    if (typeof value !== 'string') {
+      throw new Error(`${fieldName} must be a string`);
+    }
+    
+    const [datePart, timePart, ...rest] = value.split('@');
+    if (rest.length > 0) {
+      throw new Error(`${fieldName} must contain at most one @`);
+    }
+    
+    const keyword = datePart.trim().toLowerCase();
+    if (timePart !== undefined && ['anytime', 'someday', 'clear'].includes(keyword)) {
+      throw new Error(`${fieldName} cannot combine ${keyword} with a reminder time`);
+    }
+    
+    let date;
+    if (keyword === 'today') {
+      date = new DateExpressionParser().parse(keyword);
+    } else if (SYMBOLIC_WHEN_VALUES.includes(keyword)) {
+      date = keyword;
+    } else {
+      date = InputValidator.validateDateInput(datePart.trim(), fieldName);
+    }
+    
+    if (timePart === undefined) {
+      return { date, reminderTime: null };
+    }
+    
+    return { date, reminderTime: InputValidator.validateTimeInput(timePart, fieldName) };
+  }
+  
+  /**
+   * Validate a reminder time ("18:00", "9am", "6:30 pm") and normalize it to HH:MM
+   */
+  static validateTimeInput(value, fieldName) {
+    const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) {
+      throw new Error(`${fieldName} reminder time must look like 18:00, 9am or 6:30pm`);
+    }
+    
+    let hours = Number(match[1]);
+    const minutes = match[2] ? Number(match[2]) : 0;
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+    
+    if (meridiem) {
+      if (hours < 1 || hours > 12) {
+        throw new Error(`${fieldName} reminder time has an invalid hour`);
+      }
+      hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (hours > 23) {
+      throw new Error(`${fieldName} reminder time has an invalid hour`);
+    }
+    
+    if (minutes > 59) {
+      throw new Error(`${fieldName} reminder time has invalid minutes`);
+    }
+    
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+  
+  /**
+   * Format a Date as YYYY-MM-DD in local time
+   */
+  static formatLocalDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+  
   /**
    * Validate array input
    */
@@ -107,6 +206,124 @@ export class InputValidator {
 }
 
 export class ParameterProcessor {
+  /**
+   * Resolve natural-language dates in when/deadline ("next Friday", "in 3 days")
+   * to YYYY-MM-DD. ISO dates are checked to exist; they, empty strings and
+   * non-strings pass through unchanged.
+   * Returns { params, resolvedDates } where resolvedDates maps each rewritten
+   * field to { input, date } so the caller can echo the resolution back.
+   */
+  static resolveDates(params, parser = new DateExpressionParser(), fields = DATE_FIELDS) {
+    const resolved = { ...params };
+    const resolvedDates = {};
+    
+    for (const field of fields) {
+      const value = params[field];
+      if (typeof value !== 'string' || value.trim() === '') {
+        continue;
+      }
+      
+      // Only when takes a reminder time; keep it attached to the resolved date
+      const atIndex = field === 'when' ? value.indexOf('@') : -1;
+      const datePart = (atIndex === -1 ? value : value.slice(0, atIndex)).trim();
+      const timeSuffix = atIndex === -1 ? '' : value.slice(atIndex);
+      
+      // Symbolic when values go to JXA as lowercase keywords, not dates. A
+      // reminder needs a date though, so "today@9am" is resolved like a date.
+      const keyword = datePart.toLowerCase();
+      const symbolic = SYMBOLIC_WHEN_VALUES.includes(keyword) && !(keyword === 'today' && timeSuffix);
+      if (field === 'when' && symbolic) {
+        resolved.when = `${keyword}${timeSuffix}`;
+        continue;
+      }
+      
+      let date;
+      try {
+        date = parser.parse(datePart);
+      } catch (error) {
+        throw new Error(`${field}: ${error.message}`);
+      }
+      
+      // ISO dates are only checked to exist ("2026-02-30" does not) and kept as given
+      if (/^\d{4}-\d{2}-\d{2}$/.test(datePart)) {
+        continue;
+      }
+      
+      resolved[field] = `${date}${timeSuffix}`;
+      resolvedDates[field] = { input: value, date };
+    }
+    
+    // To-do objects in add_project's todos take the same expressions
+    if (Array.isArray(params.todos)) {
+      resolved.todos = params.todos.map((todo, index) => {
+        if (!todo || typeof todo !== 'object') {
+          return todo;
+        }
+        
+        let result;
+        try {
+          result = ParameterProcessor.resolveDates(todo, parser);
+        } catch (error) {
+          throw new Error(`todos[${index}].${error.message}`);
+        }
+        for (const [field, entry] of Object.entries(result.resolvedDates)) {
+          resolvedDates[`todos[${index}].${field}`] = entry;
+        }
+        return result.params;
+      });
+    }
+    
+    // update_matching's filter and patch take expressions too
+    for (const [key, nestedFields] of [['filter', FILTER_DATE_FIELDS], ['patch', DATE_FIELDS]]) {
+      const nested = params[key];
+      if (!nested || typeof nested !== 'object' || Array.isArray(nested)) {
+        continue;
+      }
+      
+      let result;
+      try {
+        result = ParameterProcessor.resolveDates(nested, parser, nestedFields);
+      } catch (error) {
+        throw new Error(`${key}.${error.message}`);
+      }
+      for (const [field, entry] of Object.entries(result.resolvedDates)) {
+        resolvedDates[`${key}.${field}`] = entry;
+      }
+      resolved[key] = result.params;
+    }
+    
+    // batch entries carry the params of the tools they run
+    if (Array.isArray(params.entries)) {
+      resolved.entries = params.entries.map((entry, index) => {
+        if (!entry || typeof entry !== 'object' || !entry.params || typeof entry.params !== 'object') {
+          return entry;
+        }
+        
+        let result;
+        try {
+          result = ParameterProcessor.resolveDates(entry.params, parser);
+        } catch (error) {
+          throw new Error(`entries[${index}].${error.message}`);
+        }
+        for (const [field, date] of Object.entries(result.resolvedDates)) {
+          resolvedDates[`entries[${index}].${field}`] = date;
+        }
+        return { ...entry, params: result.params };
+      });
+    }
+    
+    // Things JSON payloads (things_json) carry when and deadline in each item's attributes
+    if (Array.isArray(params.data)) {
+      const result = ThingsJSON.resolveDates(
+        params.data, attributes => ParameterProcessor.resolveDates(attributes, parser)
+      );
+      resolved.data = result.data;
+      Object.assign(resolvedDates, result.resolvedDates);
+    }
+    
+    return { params: resolved, resolvedDates };
+  }
+  
   /**
    * Process and validate parameters for JXA execution
    * Maps user-friendly terms to Things 3 internal terminology
@@ -119,6 +336,13 @@ export class ParameterProcessor {
       throw new Error('tags must be an array');
     }
     
+    // Incremental tag edits and bulk IDs are string arrays
+    for (const field of ['add_tags', 'remove_tags', 'ids', 'source_ids', 'source_titles']) {
+      if (params[field] !== undefined && params[field] !== null) {
+        InputValidator.validateArrayInput(params[field], field);
+      }
+    }
+    
     // Map user-friendly parameter names to Things 3 internal names
     if (params.title !== undefined) {
       processed.name = params.title;
@@ -129,6 +353,13 @@ export class ParameterProcessor {
     if (params.when !== undefined) {
       processed.activation_date = params.when;
       delete processed.when;
+      
+      // A reminder time ("date@time") is split off into reminder_time
+      if (typeof params.when === 'string' && params.when.includes('@')) {
+        const { date, reminderTime } = InputValidator.validateWhenInput(params.when, 'when');
+        processed.activation_date = date;
+        processed.reminder_time = reminderTime;
+      }
     }
     
     // deadline (user-friendly) → due_date (Things 3 internal)
@@ -137,13 +368,191 @@ export class ParameterProcessor {
       delete processed.deadline;
     }
     
+    if (params.status !== undefined || params.completion_date !== undefined) {
+      ParameterProcessor.validateStatus(params);
+    }
+    
     // checklist_items (user-friendly) → child_tasks (internal)
     if (params.checklist_items !== undefined) {
+      if (params.checklist_items !== null) {
+        InputValidator.validateArrayInput(params.checklist_items, 'checklist_items');
+      }
       processed.child_tasks = params.checklist_items;
       delete processed.checklist_items;
     }
     
+    if (params.todos !== undefined && params.todos !== null) {
+      processed.todos = ParameterProcessor.processTodos(params.todos);
+    }
+    
+    if (params.data !== undefined) {
+      processed.data = ThingsJSON.toOperations(params.data, item => ParameterProcessor.process(item));
+    }
+    
+    if (params.filter !== undefined) {
+      processed.filter = ParameterProcessor.processFilter(params.filter);
+    }
+    
+    if (params.patch !== undefined) {
+      processed.patch = ParameterProcessor.processPatch(params.patch);
+    }
+    
+    if (params.entries !== undefined) {
+      processed.entries = ParameterProcessor.processEntries(params.entries);
+    }
+    
     return processed;
   }
+  
+  /**
+   * Validate status and completion_date: status must be a known value that
+   * agrees with completed/canceled, and a completion can only be backdated
+   * on a closed item, to a day that is not in the future
+   */
+  static validateStatus(params) {
+    if (params.status !== undefined && !STATUS_VALUES.includes(params.status)) {
+      throw new Error(`status must be one of ${STATUS_VALUES.join(', ')}`);
+    }
+    
+    const flagged = ['completed', 'canceled'].filter(flag => params[flag] === true);
+    if (params.status !== undefined && flagged.some(flag => flag !== params.status)) {
+      throw new Error(`status "${params.status}" conflicts with ${flagged.join(' and ')}: true`);
+    }
+    
+    if (params.completion_date !== undefined) {
+      InputValidator.validateDateInput(params.completion_date, 'completion_date');
+      if (params.status === 'open') {
+        throw new Error('completion_date cannot be used when reopening an item');
+      }
+      if (params.completion_date > InputValidator.formatLocalDate(new Date())) {
+        throw new Error('completion_date cannot be in the future');
+      }
+    }
+  }
+  
+  /**
+   * Validate update_matching's filter: known criteria only, at least one of them
+   */
+  static processFilter(filter) {
+    ParameterProcessor.checkFields(filter, 'filter', FILTER_FIELDS);
+    
+    if (filter.type !== undefined && !['todo', 'project'].includes(filter.type)) {
+      throw new Error('filter.type must be todo or project');
+    }
+    if (filter.status !== undefined && !STATUS_VALUES.includes(filter.status)) {
+      throw new Error(`filter.status must be one of ${STATUS_VALUES.join(', ')}`);
+    }
+    for (const field of ['list_id', 'list_title', 'tag', 'text']) {
+      if (filter[field] !== undefined && typeof filter[field] !== 'string') {
+        throw new Error(`filter.${field} must be a string`);
+      }
+    }
+    for (const field of FILTER_DATE_FIELDS) {
+      if (filter[field] !== undefined) {
+        InputValidator.validateDateInput(filter[field], `filter.${field}`);
+      }
+    }
+    
+    return { ...filter };
+  }
+  
+  /**
+   * Validate update_matching's patch and map it like update_todo params
+   */
+  static processPatch(patch) {
+    ParameterProcessor.checkFields(patch, 'patch', PATCH_FIELDS);
+    
+    if (patch.heading !== undefined && !patch.list_id && !patch.list_title) {
+      throw new Error('patch.heading needs patch.list_id or patch.list_title');
+    }
+    
+    try {
+      return ParameterProcessor.process(patch);
+    } catch (error) {
+      throw new Error(`patch: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Validate batch entries ({ operation, params }) and process each entry's
+   * params like those of the tool it runs
+   */
+  static processEntries(entries) {
+    const { maxEntries } = SERVER_CONFIG.batch;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('entries must be a non-empty array');
+    }
+    if (entries.length > maxEntries) {
+      throw new Error(`entries can hold at most ${maxEntries} operations, split larger batches`);
+    }
+    
+    return entries.map((entry, index) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`entries[${index}] must be an object with operation and params`);
+      }
+      if (typeof entry.operation !== 'string' || !entry.operation) {
+        throw new Error(`entries[${index}].operation is required`);
+      }
+      if (entry.operation === 'batch') {
+        throw new Error(`entries[${index}]: a batch cannot contain another batch`);
+      }
+      const params = entry.params === undefined ? {} : entry.params;
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new Error(`entries[${index}].params must be an object`);
+      }
+      
+      try {
+        return { operation: entry.operation, params: ParameterProcessor.process(params) };
+      } catch (error) {
+        throw new Error(`entries[${index}]: ${error.message}`);
+      }
+    });
+  }
+  
+  /**
+   * Check that value is a non-empty object with only the allowed fields
+   */
+  static checkFields(value, name, allowed) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${name} must be an object`);
+    }
+    
+    const fields = Object.keys(value);
+    if (fields.length === 0) {
+      throw new Error(`${name} needs at least one of ${allowed.join(', ')}`);
+    }
+    const unknown = fields.find(field => !allowed.includes(field));
+    if (unknown) {
+      throw new Error(`${name}.${unknown} is not supported. Use ${allowed.join(', ')}`);
+    }
+  }
+  
+  /**
+   * Validate add_project's todos: each entry is a title or a to-do object
+   * with the add_todo fields, which are mapped the same way
+   */
+  static processTodos(todos) {
+    if (!Array.isArray(todos)) {
+      throw new Error('todos must be an array');
+    }
+    
+    return todos.map((todo, index) => {
+      if (typeof todo === 'string') {
+        return todo;
+      }
+      if (!todo || typeof todo !== 'object' || Array.isArray(todo)) {
+        throw new Error(`todos[${index}] must be a title or a to-do object`);
+      }
+      if (typeof todo.title !== 'string' || !todo.title.trim()) {
+        throw new Error(`todos[${index}].title is required`);
+      }
+      
+      try {
+        return ParameterProcessor.process(todo);
+      } catch (error) {
+        throw new Error(`todos[${index}]: ${error.message}`);
+      }
+    });
+  }
 }
 
@@ -20,8 +20,26 @@ const TEST_FILES = [
   'unit/parameter-processor.test.js',
   'unit/input-validator.test.js', 
   'unit/date-handling.test.js',
+  'unit/date-parser.test.js',
   'unit/tag-formatting.test.js',
   'unit/list-ids.test.js',
+  'unit/checklist-formatting.test.js',
+  'unit/tag-hierarchy.test.js',
+  'unit/tag-maintenance.test.js',
+  'unit/tag-resolver.test.js',
+  'unit/name-resolver.test.js',
+  'unit/warnings.test.js',
+  'unit/conversion.test.js',
+  'unit/project-merge.test.js',
+  'unit/project-todos.test.js',
+  'unit/things-json.test.js',
+  'unit/status-lifecycle.test.js',
+  'unit/update-matching.test.js',
+  'unit/batch.test.js',
+  'unit/headings.test.js',
+  'unit/trash.test.js',
+  'unit/move-items.test.js',
+  'unit/duplicate-items.test.js',
   
   // Build system tests
   'unit/build-system.test.js',
@@ -33,6 +51,7 @@ const TEST_FILES = [
   
   // JXA execution tests (mock)
   'unit/jxa-executor.test.js',
+  'unit/url-scheme.test.js',
   
   // Integration tests (require Things 3)
   'integration/things-connection.test.js',
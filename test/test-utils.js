@@ -246,6 +246,138 @@ export class MockJXAResponse {
   }
 }
 
+// Item properties that read and write plain values; status and project have their own behavior
+const FAKE_ITEM_PROPERTIES = [
+  'id', 'name', 'notes', 'tagNames', 'dueDate', 'activationDate', 'area', 'class',
+  'creationDate', 'modificationDate', 'completionDate', 'cancellationDate'
+];
+
+/**
+ * In-memory stand-ins for the Things application object and its items, for
+ * unit tests that run the JXA operations directly
+ */
+export class FakeThings {
+  /**
+   * An item whose properties are read by calling them and written by
+   * assigning, like JXA. A project keeps its to-dos in order in children:
+   * assigning project moves an item to the end of that project, and closing
+   * an item stamps its completion or cancellation date, as Things does.
+   */
+  static item(props = {}) {
+    const state = { notes: '', tagNames: '', status: 'open', class: 'to do', ...props };
+    const item = { children: [] };
+    item.toDos = Object.assign(() => [...item.children], {
+      push: child => {
+        child.project = item;
+      }
+    });
+    
+    const define = (prop, get, set) => Object.defineProperty(item, prop, { configurable: true, get, set });
+    for (const prop of FAKE_ITEM_PROPERTIES) {
+      define(prop, () => () => (state[prop] === undefined ? null : state[prop]), value => { state[prop] = value; });
+    }
+    define('status', () => () => state.status, value => {
+      state.status = value;
+      state.completionDate = value === 'completed' ? new Date() : null;
+      state.cancellationDate = value === 'canceled' ? new Date() : null;
+    });
+    define('project', () => () => state.project || null, project => {
+      if (state.project && state.project.children) {
+        state.project.children.splice(state.project.children.indexOf(item), 1);
+      }
+      state.project = project;
+      if (project && project.children) {
+        project.children.push(item);
+      }
+    });
+    return item;
+  }
+  
+  /**
+   * The application object holding items. Built-in lists (by ID) hold the
+   * items moved into them; moves and deletions are recorded in moves and
+   * deleted. duplicate copies an item's details, and a project's to-dos,
+   * next to the original.
+   */
+  static app(items = []) {
+    let nextId = 1;
+    // New IDs skip the ones the test seeded
+    const newId = prefix => {
+      let id;
+      do {
+        id = `${prefix}${nextId++}`;
+      } while (items.some(item => item.id() === id));
+      return id;
+    };
+    const lists = {};
+    const list = id => {
+      lists[id] = lists[id] || [];
+      return { id: () => id, name: () => id.replace(/^TM|ListSource$/g, ''), toDos: () => lists[id] };
+    };
+    const collection = type => {
+      const entries = () => items.filter(item => !type || item.class() === type);
+      return Object.assign(entries, {
+        byId: id => {
+          const item = entries().find(entry => entry.id() === id);
+          if (!item) {
+            throw new Error('Not found');
+          }
+          return item;
+        },
+        push: item => items.push(item)
+      });
+    };
+    
+    const things = {
+      items,
+      moves: [],
+      deleted: [],
+      toDos: collection(null),
+      projects: collection('project'),
+      areas: collection('area'),
+      tags: () => [],
+      lists: Object.assign(() => [], { byId: list }),
+      ToDo: props => FakeThings.item({ ...props, id: newId('t') }),
+      Project: props => FakeThings.item({ ...props, id: newId('p'), class: 'project' }),
+      schedule: (item, { for: date }) => {
+        item.activationDate = date;
+      },
+      move: (item, { to }) => {
+        things.moves.push([item.id(), to.id()]);
+        Object.values(lists).forEach(entries => entries.includes(item) && entries.splice(entries.indexOf(item), 1));
+        to.toDos().push(item);
+      },
+      duplicate: item => {
+        const isProject = item.class() === 'project';
+        const copy = things.seed(FakeThings.item({
+          id: newId(isProject ? 'p' : 't'),
+          name: item.name(),
+          notes: item.notes(),
+          tagNames: item.tagNames(),
+          class: item.class(),
+          area: item.area()
+        }));
+        if (item.project()) {
+          item.project().toDos.push(copy);
+        }
+        item.toDos().forEach(child => copy.toDos.push(things.duplicate(child)));
+        return copy;
+      },
+      delete: item => {
+        things.deleted.push(item.id());
+        items.splice(items.indexOf(item), 1);
+      },
+      // Test setup: add an item, or get what a built-in list holds
+      seed: item => {
+        items.push(item);
+        return item;
+      },
+      contents: id => list(id).toDos()
+    };
+    return things;
+  }
+}
+
 /**
  * Test helpers for Things 3 operations
  */
@@ -460,6 +592,7 @@ export default {
   expect,
   MockMCPRequest,
   MockJXAResponse,
+  FakeThings,
   ThingsTestHelper,
   ValidationHelper
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Batch
+ *
+ * Tests running several operations in one script run, with references to
+ * earlier results, against an in-memory stand-in for the Things application
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { BatchOperations } from '../../jxa/src/batch.js';
+import { run } from '../../jxa/src/main.js';
+import { addWarning, deferToURLScheme, takeDeferredCommands, takeWarnings } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Batch Unit Tests');
+
+// Run the bundled entry point against a fake application
+const runScript = (things, params) => {
+  globalThis.Application = () => things;
+  try {
+    return JSON.parse(run([JSON.stringify(params)]));
+  } finally {
+    delete globalThis.Application;
+  }
+};
+
+suite.test('runs entries through the operation router in one run', () => {
+  const things = FakeThings.app();
+  const response = runScript(things, {
+    operation: 'batch',
+    entries: [
+      { operation: 'add_project', params: { name: 'Launch' } },
+      { operation: 'add_todo', params: { name: 'Book venue', list_id: '$0.id' } },
+      { operation: 'show_item', params: { id: '$1.id' } }
+    ]
+  });
+  
+  expect.toEqual(response.success, true);
+  const { results, succeeded, failed } = response.data;
+  expect.toEqual(succeeded, 3);
+  expect.toEqual(failed, 0);
+  expect.toEqual(results[2].data.project.name, 'Launch');
+  expect.toEqual(things.projects.byId(results[0].data.id).toDos()[0].name(), 'Book venue');
+});
+
+suite.test('reports each failing entry and keeps going', () => {
+  const things = FakeThings.app();
+  const { data } = runScript(things, {
+    operation: 'batch',
+    entries: [
+      { operation: 'update_todo', params: { id: 'missing', name: 'Renamed' } },
+      { operation: 'add_todo', params: { name: 'Call Sam' } },
+      { operation: 'get_everything', params: {} }
+    ]
+  });
+  
+  expect.toDeepEqual(data.results.map(result => result.success), [false, true, false]);
+  expect.toContain(data.results[0].error, 'not found');
+  expect.toContain(data.results[2].error, 'Unknown operation: get_everything');
+  expect.toEqual(data.failed, 2);
+});
+
+suite.test('fails tag and area entries without a name', () => {
+  const things = FakeThings.app();
+  const { data } = runScript(things, {
+    operation: 'batch',
+    entries: [{ operation: 'add_tag', params: {} }, { operation: 'add_area', params: { name: 42 } }]
+  });
+  
+  expect.toEqual(data.failed, 2);
+  expect.toContain(data.results[0].error, 'Tag name is required');
+  expect.toContain(data.results[1].error, 'Area name is required');
+  expect.toHaveLength(things.items, 0);
+});
+
+suite.test('resolves references to earlier results and rejects bad ones', () => {
+  const results = [
+    { index: 0, success: true, data: { id: 'p1', project: { id: 'p2' }, tags: ['a'] } },
+    { index: 1, success: false, error: 'Boom' }
+  ];
+  
+  expect.toDeepEqual(
+    BatchOperations.resolveReferences({ list_id: '$0.project.id', ids: ['$0.id', 'x'], tags: '$0.tags' }, results),
+    { list_id: 'p2', ids: ['p1', 'x'], tags: ['a'] }
+  );
+  expect.toEqual(BatchOperations.resolveReferences('Costs $0.50', results), 'Costs $0.50');
+  expect.toThrow(() => BatchOperations.resolveReferences('$1.id', results), 'refers to entry 1, which failed');
+  expect.toThrow(() => BatchOperations.resolveReferences('$5.id', results), 'has not run yet');
+  expect.toThrow(() => BatchOperations.resolveReferences('$0.name', results), 'does not exist');
+});
+
+suite.test('fails an entry that refers to the id of a pending project', () => {
+  const things = FakeThings.app();
+  const { data } = runScript(things, {
+    operation: 'batch',
+    entries: [
+      { operation: 'add_project', params: { name: 'Launch', todos: [{ name: 'Design flyer', heading: 'Marketing' }] } },
+      { operation: 'add_todo', params: { name: 'Book venue', list_id: '$0.id' } }
+    ]
+  });
+  
+  expect.toEqual(data.results[0].data.pending, true);
+  expect.toEqual(data.results[1].success, false);
+  expect.toContain(data.results[1].error, 'pending in Things and has no ID yet');
+  expect.toHaveLength(things.items, 0);
+  
+  const results = [{ index: 0, success: true, data: { area: null } }];
+  expect.toThrow(() => BatchOperations.resolveReferences('$0.area', results), 'is empty in the result of entry 0');
+});
+
+suite.test('keeps warnings and URL scheme commands per entry', () => {
+  takeWarnings();
+  takeDeferredCommands();
+  const dispatch = (things, operation, params) => {
+    addWarning('tags', 'Tag does not exist and was skipped', params.tag);
+    deferToURLScheme('update', { id: params.tag });
+    if (operation === 'fail') {
+      throw new Error('Boom');
+    }
+    return { id: params.tag };
+  };
+  
+  const { results } = BatchOperations.run({}, {
+    entries: [{ operation: 'ok', params: { tag: 'a' } }, { operation: 'fail', params: { tag: 'b' } }]
+  }, dispatch);
+  
+  expect.toEqual(results[0].warnings[0].value, 'a');
+  expect.toEqual(results[1].warnings, undefined);
+  expect.toDeepEqual(takeWarnings(), []);
+  expect.toDeepEqual(takeDeferredCommands(), [{ command: 'update', params: { id: 'a' } }]);
+});
+
+suite.test('refuses nested batches', () => {
+  const { results } = BatchOperations.run({}, { entries: [{ operation: 'batch', params: {} }] }, () => ({}));
+  
+  expect.toEqual(results[0].success, false);
+  expect.toContain(results[0].error, 'cannot contain another batch');
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Checklist Formatting
+ * 
+ * Tests the checklist block stored at the end of todo notes, which is how
+ * checklist items are written since Things' scripting interface has no
+ * checklist class
+ */
+
+import { TestSuite, expect } from '../test-utils.js';
+import { parseChecklist, formatChecklist, mergeChecklist } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Checklist Formatting Unit Tests');
+
+// Test rendering
+suite.test('formats items after the notes body', () => {
+  const notes = formatChecklist('Some notes', [
+    { title: 'Check syntax', completed: false },
+    { title: 'Run tests', completed: true }
+  ]);
+  
+  expect.toEqual(notes, 'Some notes\n\nChecklist:\n- [ ] Check syntax\n- [x] Run tests');
+});
+
+suite.test('formats items without a notes body', () => {
+  const notes = formatChecklist('', [{ title: 'Only item', completed: false }]);
+  expect.toEqual(notes, 'Checklist:\n- [ ] Only item');
+});
+
+suite.test('leaves notes unchanged when there are no items', () => {
+  expect.toEqual(formatChecklist('Some notes', []), 'Some notes');
+  expect.toEqual(formatChecklist('', []), '');
+});
+
+// Test parsing
+suite.test('parses items with their completion state', () => {
+  const { body, items } = parseChecklist('Some notes\n\nChecklist:\n- [ ] Check syntax\n- [x] Run tests');
+  
+  expect.toEqual(body, 'Some notes');
+  expect.toDeepEqual(items, [
+    { title: 'Check syntax', completed: false },
+    { title: 'Run tests', completed: true }
+  ]);
+});
+
+suite.test('returns plain notes untouched', () => {
+  const notes = 'Call about the invoice\n- remember the PO number';
+  const { body, items } = parseChecklist(notes);
+  
+  expect.toEqual(body, notes);
+  expect.toHaveLength(items, 0);
+});
+
+suite.test('ignores a header followed by free-form text', () => {
+  const notes = 'Checklist:\nthis is not a list item';
+  const { body, items } = parseChecklist(notes);
+  
+  expect.toEqual(body, notes);
+  expect.toHaveLength(items, 0);
+});
+
+suite.test('handles empty and missing notes', () => {
+  expect.toDeepEqual(parseChecklist(''), { body: '', items: [] });
+  expect.toDeepEqual(parseChecklist(null), { body: '', items: [] });
+  expect.toDeepEqual(parseChecklist(undefined), { body: '', items: [] });
+});
+
+suite.test('round-trips titles with brackets and dashes', () => {
+  const items = [
+    { title: '- [x] looks like an item', completed: false },
+    { title: 'Buy milk [2 bottles]', completed: true }
+  ];
+  const { body, items: parsed } = parseChecklist(formatChecklist('Notes', items));
+  
+  expect.toEqual(body, 'Notes');
+  expect.toDeepEqual(parsed, items);
+});
+
+// Test merge semantics
+suite.test('append adds items after the existing checklist', () => {
+  const existing = [{ title: 'First', completed: true }];
+  const merged = mergeChecklist(existing, ['Second'], 'append');
+  
+  expect.toDeepEqual(merged, [
+    { title: 'First', completed: true },
+    { title: 'Second', completed: false }
+  ]);
+});
+
+suite.test('replace keeps completion state of unchanged titles', () => {
+  const existing = [
+    { title: 'Keep me', completed: true },
+    { title: 'Drop me', completed: false }
+  ];
+  const merged = mergeChecklist(existing, ['Keep me', 'New item'], 'replace');
+  
+  expect.toDeepEqual(merged, [
+    { title: 'Keep me', completed: true },
+    { title: 'New item', completed: false }
+  ]);
+});
+
+suite.test('replace with an empty list clears the checklist', () => {
+  const merged = mergeChecklist([{ title: 'Old', completed: false }], [], 'replace');
+  expect.toHaveLength(merged, 0);
+  expect.toEqual(formatChecklist('Notes', merged), 'Notes');
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Conversion
+ *
+ * Tests converting to-dos into projects and back against an in-memory
+ * stand-in for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { ProjectOperations } from '../../jxa/src/projects.js';
+import { takeWarnings, takeDeferredCommands } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Conversion Unit Tests');
+
+// Test todo to project
+suite.test('converts a todo into a project with its details', () => {
+  const things = FakeThings.app();
+  const area = FakeThings.item({ id: 'r1', name: 'Home', class: 'area' });
+  const due = new Date(2026, 10, 1);
+  const start = new Date(2026, 9, 25);
+  things.seed(FakeThings.item({
+    id: 't1', name: 'Renovate kitchen', tagNames: 'home', area, dueDate: due, activationDate: start,
+    notes: 'Big job\n\nChecklist:\n- [x] Pick colors\n- [ ] Buy paint'
+  }));
+  
+  const result = TodoOperations.convertToProject(things, { id: 't1' });
+  
+  expect.toEqual(result.originalId, 't1');
+  expect.toDeepEqual(things.deleted, ['t1']);
+  expect.toEqual(result.project.name, 'Renovate kitchen');
+  expect.toEqual(result.project.notes, 'Big job');
+  expect.toEqual(result.project.tagNames, 'home');
+  expect.toEqual(result.project.area.name, 'Home');
+  
+  const project = things.projects.byId(result.project.id);
+  expect.toEqual(project.dueDate(), due);
+  expect.toEqual(project.activationDate(), start);
+  expect.toDeepEqual(
+    project.toDos().map(todo => [todo.name(), todo.status()]),
+    [['Pick colors', 'completed'], ['Buy paint', 'open']]
+  );
+});
+
+suite.test('keeps the area of the project a todo was in', () => {
+  const things = FakeThings.app();
+  const area = FakeThings.item({ id: 'r1', name: 'Work', class: 'area' });
+  const parent = things.seed(FakeThings.item({ id: 'p1', name: 'Launch', class: 'project', area }));
+  things.seed(FakeThings.item({ id: 't1', name: 'Write docs', project: parent }));
+  
+  const result = TodoOperations.convertToProject(things, { id: 't1', discard_checklist: true });
+  expect.toEqual(result.project.area.name, 'Work');
+});
+
+suite.test('moves an unscheduled item to Someday or Anytime like the original', () => {
+  const things = FakeThings.app();
+  const todo = things.seed(FakeThings.item({ id: 't1', name: 'Learn piano' }));
+  things.contents('TMSomedayListSource').push(todo);
+  things.seed(FakeThings.item({ id: 't2', name: 'Fix bike' }));
+  
+  const first = TodoOperations.convertToProject(things, { id: 't1', discard_checklist: true });
+  const second = TodoOperations.convertToProject(things, { id: 't2', discard_checklist: true });
+  
+  expect.toDeepEqual(things.moves, [
+    [first.project.id, 'TMSomedayListSource'],
+    [second.project.id, 'TMNextListSource']
+  ]);
+});
+
+suite.test('refuses projects and closed todos', () => {
+  const things = FakeThings.app();
+  things.seed(FakeThings.item({ id: 'p1', name: 'Launch', class: 'project' }));
+  things.seed(FakeThings.item({ id: 't1', name: 'Done', status: 'completed' }));
+  
+  expect.toThrow(() => TodoOperations.convertToProject(things, { id: 'p1' }), /already a project/);
+  expect.toThrow(() => TodoOperations.convertToProject(things, { id: 't1' }), /Only open to-dos/);
+  expect.toHaveLength(things.deleted, 0);
+});
+
+suite.test('refuses to drop a native checklist unless told to', () => {
+  const things = FakeThings.app();
+  things.seed(FakeThings.item({ id: 't1', name: 'Paint room', notes: 'Two coats' }));
+  
+  expect.toThrow(
+    () => TodoOperations.convertToProject(things, { id: 't1' }),
+    'discard_checklist: true'
+  );
+  expect.toHaveLength(things.deleted, 0);
+  expect.toHaveLength(things.projects(), 0);
+  
+  const result = TodoOperations.convertToProject(things, { id: 't1', discard_checklist: true });
+  expect.toEqual(result.project.notes, 'Two coats');
+  expect.toDeepEqual(things.deleted, ['t1']);
+});
+
+// Test project to todo
+suite.test('converts a project with plain todos into a todo with a checklist', () => {
+  const things = FakeThings.app();
+  const project = things.seed(FakeThings.item({ id: 'p1', name: 'Groceries', class: 'project', notes: 'Saturday', tagNames: 'errand' }));
+  project.toDos.push(things.seed(FakeThings.item({ id: 'c1', name: 'Milk' })));
+  project.toDos.push(things.seed(FakeThings.item({ id: 'c2', name: 'Eggs', status: 'completed' })));
+  
+  const result = ProjectOperations.convertToTodo(things, { id: 'p1' });
+  
+  expect.toEqual(result.originalId, 'p1');
+  expect.toDeepEqual(things.deleted, ['p1']);
+  expect.toEqual(result.todo.name, 'Groceries');
+  expect.toEqual(result.todo.notes, 'Saturday');
+  expect.toEqual(result.todo.tagNames, 'errand');
+  expect.toDeepEqual(result.todo.checklistItems, [
+    { title: 'Milk', completed: false },
+    { title: 'Eggs', completed: true }
+  ]);
+});
+
+suite.test('sends the checklist through the URL scheme when enabled', () => {
+  takeWarnings();
+  takeDeferredCommands();
+  const things = FakeThings.app();
+  const project = things.seed(FakeThings.item({ id: 'p1', name: 'Groceries', class: 'project' }));
+  project.toDos.push(things.seed(FakeThings.item({ id: 'c1', name: 'Milk', status: 'completed' })));
+  
+  const result = ProjectOperations.convertToTodo(things, { id: 'p1', url_scheme_enabled: true });
+  
+  const [command] = takeDeferredCommands();
+  expect.toEqual(command.params.id, result.todo.id);
+  expect.toDeepEqual(command.params.child_tasks, ['Milk']);
+  expect.toDeepEqual(takeWarnings().map(w => w.value), [['Milk']]);
+});
+
+suite.test('refuses projects whose todos are more than plain titles', () => {
+  const things = FakeThings.app();
+  const project = things.seed(FakeThings.item({ id: 'p1', name: 'Move house', class: 'project' }));
+  project.toDos.push(things.seed(FakeThings.item({ id: 'c1', name: 'Boxes' })));
+  project.toDos.push(things.seed(FakeThings.item({ id: 'c2', name: 'Movers', notes: 'Call Tue' })));
+  project.toDos.push(things.seed(FakeThings.item({ id: 'c4', name: 'Keys', dueDate: new Date() })));
+  
+  expect.toThrow(
+    () => ProjectOperations.convertToTodo(things, { id: 'p1' }),
+    /"Movers" \(has notes\), "Keys" \(has dates\)/
+  );
+  expect.toHaveLength(things.deleted, 0);
+});
+
+suite.test('refuses closed projects', () => {
+  const things = FakeThings.app();
+  things.seed(FakeThings.item({ id: 'p1', name: 'Old', class: 'project', status: 'canceled' }));
+  expect.toThrow(() => ProjectOperations.convertToTodo(things, { id: 'p1' }), /Only open projects/);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
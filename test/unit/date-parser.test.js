@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the natural-language date parser
+ *
+ * Every test pins "now", the time zone and the locale so results do not
+ * depend on the machine running the suite. The reference "now" is
+ * Monday 2026-10-19 at 12:00 UTC.
+ */
+
+import { TestSuite, expect } from '../test-utils.js';
+import { DateExpressionParser } from '../../server/date-parser.js';
+
+const suite = new TestSuite('Date Expression Parser Unit Tests');
+
+const at = (iso) => () => new Date(iso);
+const MONDAY_NOON = at('2026-10-19T12:00:00Z');
+
+const parser = (options = {}) => new DateExpressionParser({
+  now: MONDAY_NOON,
+  timeZone: 'UTC',
+  locale: 'en-US',
+  ...options
+});
+
+const us = parser();
+const gb = parser({ locale: 'en-GB' });
+
+// Test absolute dates
+suite.test('passes ISO dates through unchanged', () => {
+  expect.toEqual(us.parse('2026-12-24'), '2026-12-24');
+  expect.toEqual(us.parse('2020-02-29'), '2020-02-29');
+});
+
+suite.test('rejects ISO dates that do not exist', () => {
+  expect.toThrow(() => us.parse('2027-02-29'), /Invalid date/);
+  expect.toThrow(() => us.parse('2026-13-01'), /Invalid date/);
+  expect.toThrow(() => us.parse('2026-04-31'), /Invalid date/);
+});
+
+// Test keywords
+suite.test('resolves today, tomorrow and yesterday', () => {
+  expect.toEqual(us.parse('today'), '2026-10-19');
+  expect.toEqual(us.parse('tomorrow'), '2026-10-20');
+  expect.toEqual(us.parse('yesterday'), '2026-10-18');
+  expect.toEqual(us.parse('day after tomorrow'), '2026-10-21');
+});
+
+suite.test('ignores case, extra whitespace and filler words', () => {
+  expect.toEqual(us.parse('  Tomorrow '), '2026-10-20');
+  expect.toEqual(us.parse('on   Friday'), '2026-10-23');
+  expect.toEqual(us.parse('by the end of month'), '2026-10-31');
+  expect.toEqual(us.parse('due March 15th'), '2027-03-15');
+});
+
+// Test offsets
+suite.test('resolves "in N units" offsets', () => {
+  expect.toEqual(us.parse('in 3 days'), '2026-10-22');
+  expect.toEqual(us.parse('in 1 day'), '2026-10-20');
+  expect.toEqual(us.parse('in two weeks'), '2026-11-02');
+  expect.toEqual(us.parse('in a month'), '2026-11-19');
+  expect.toEqual(us.parse('in 2 years'), '2028-10-19');
+});
+
+suite.test('resolves "from now" and "ago" offsets', () => {
+  expect.toEqual(us.parse('2 weeks from now'), '2026-11-02');
+  expect.toEqual(us.parse('10 days from today'), '2026-10-29');
+  expect.toEqual(us.parse('5 days ago'), '2026-10-14');
+  expect.toEqual(us.parse('a year ago'), '2025-10-19');
+});
+
+suite.test('clamps month offsets to the end of the month', () => {
+  const jan31 = parser({ now: at('2027-01-31T12:00:00Z') });
+  expect.toEqual(jan31.parse('in 1 month'), '2027-02-28');
+  expect.toEqual(jan31.parse('in 2 months'), '2027-03-31');
+  
+  const leapJan31 = parser({ now: at('2028-01-31T12:00:00Z') });
+  expect.toEqual(leapJan31.parse('in a month'), '2028-02-29');
+  
+  const leapDay = parser({ now: at('2028-02-29T12:00:00Z') });
+  expect.toEqual(leapDay.parse('in 1 year'), '2029-02-28');
+});
+
+// Test weekdays
+suite.test('a bare weekday is the nearest one from today on', () => {
+  expect.toEqual(us.parse('monday'), '2026-10-19');
+  expect.toEqual(us.parse('tuesday'), '2026-10-20');
+  expect.toEqual(us.parse('friday'), '2026-10-23');
+  expect.toEqual(us.parse('sunday'), '2026-10-25');
+  expect.toEqual(us.parse('this friday'), '2026-10-23');
+  expect.toEqual(us.parse('fri'), '2026-10-23');
+});
+
+suite.test('"next <weekday>" is that day of next week', () => {
+  expect.toEqual(us.parse('next friday'), '2026-10-30');
+  expect.toEqual(gb.parse('next friday'), '2026-10-30');
+  expect.toEqual(us.parse('next monday'), '2026-10-26');
+});
+
+suite.test('the locale decides which week "next sunday" falls in', () => {
+  // US weeks start on Sunday, so next week starts on the 25th
+  expect.toEqual(us.parse('next sunday'), '2026-10-25');
+  // UK weeks start on Monday, so next week's Sunday is November 1st
+  expect.toEqual(gb.parse('next sunday'), '2026-11-01');
+});
+
+// Test periods
+suite.test('resolves week boundaries by locale', () => {
+  expect.toEqual(us.parse('next week'), '2026-10-25');
+  expect.toEqual(gb.parse('next week'), '2026-10-26');
+  expect.toEqual(us.parse('end of week'), '2026-10-24');
+  expect.toEqual(gb.parse('end of week'), '2026-10-25');
+  expect.toEqual(gb.parse('start of next week'), '2026-10-26');
+});
+
+suite.test('resolves weekends', () => {
+  expect.toEqual(us.parse('weekend'), '2026-10-24');
+  expect.toEqual(us.parse('this weekend'), '2026-10-24');
+  expect.toEqual(us.parse('next weekend'), '2026-10-31');
+  
+  const saturday = parser({ now: at('2026-10-24T12:00:00Z'), locale: 'en-GB' });
+  expect.toEqual(saturday.parse('this weekend'), '2026-10-24');
+  expect.toEqual(saturday.parse('next weekend'), '2026-10-31');
+});
+
+suite.test('resolves month and year boundaries', () => {
+  expect.toEqual(us.parse('end of month'), '2026-10-31');
+  expect.toEqual(us.parse('end of the month'), '2026-10-31');
+  expect.toEqual(us.parse('start of month'), '2026-10-01');
+  expect.toEqual(us.parse('next month'), '2026-11-01');
+  expect.toEqual(us.parse('end of next month'), '2026-11-30');
+  expect.toEqual(us.parse('end of year'), '2026-12-31');
+  expect.toEqual(us.parse('next year'), '2027-01-01');
+  expect.toEqual(us.parse('beginning of next year'), '2027-01-01');
+});
+
+suite.test('end of February follows leap years', () => {
+  expect.toEqual(parser({ now: at('2028-02-10T12:00:00Z') }).parse('end of month'), '2028-02-29');
+  expect.toEqual(parser({ now: at('2027-02-10T12:00:00Z') }).parse('end of month'), '2027-02-28');
+});
+
+// Test month names
+suite.test('resolves month-name dates to their next occurrence', () => {
+  expect.toEqual(us.parse('December 25'), '2026-12-25');
+  expect.toEqual(us.parse('Oct 19'), '2026-10-19');
+  expect.toEqual(us.parse('October 18'), '2027-10-18');
+  expect.toEqual(us.parse('March 15'), '2027-03-15');
+  expect.toEqual(us.parse('15 March'), '2027-03-15');
+  expect.toEqual(us.parse('on the 3rd of November'), '2026-11-03');
+});
+
+suite.test('uses an explicit year when given', () => {
+  expect.toEqual(us.parse('March 15, 2026'), '2026-03-15');
+  expect.toEqual(us.parse('15 Mar 2028'), '2028-03-15');
+});
+
+suite.test('finds the next February 29', () => {
+  expect.toEqual(us.parse('Feb 29'), '2028-02-29');
+  expect.toThrow(() => us.parse('February 29 2027'), /Invalid date/);
+});
+
+suite.test('rolls over the year at the end of December', () => {
+  const newYearsEve = parser({ now: at('2026-12-31T12:00:00Z') });
+  expect.toEqual(newYearsEve.parse('tomorrow'), '2027-01-01');
+  expect.toEqual(newYearsEve.parse('next month'), '2027-01-01');
+  expect.toEqual(newYearsEve.parse('January 5'), '2027-01-05');
+  expect.toEqual(newYearsEve.parse('in 1 week'), '2027-01-07');
+});
+
+// Test numeric dates
+suite.test('reads numeric dates in the locale order', () => {
+  expect.toEqual(us.parse('3/4'), '2027-03-04');
+  expect.toEqual(gb.parse('3/4'), '2027-04-03');
+  expect.toEqual(us.parse('12/25/2026'), '2026-12-25');
+  expect.toEqual(gb.parse('25/12/26'), '2026-12-25');
+});
+
+suite.test('reads dotted day-first dates', () => {
+  const de = parser({ locale: 'de-DE' });
+  expect.toEqual(de.parse('24.12.2026'), '2026-12-24');
+  expect.toEqual(de.parse('1.11.'), '2026-11-01');
+});
+
+suite.test('rejects numeric dates that do not exist', () => {
+  expect.toThrow(() => gb.parse('31/04'), /Invalid date/);
+  expect.toThrow(() => us.parse('13/01/2027'), /Invalid date/);
+});
+
+// Test time zones
+suite.test('resolves "today" in the configured time zone', () => {
+  // 23:30 UTC is already the next morning in Tokyo
+  const lateUtc = at('2026-10-19T23:30:00Z');
+  expect.toEqual(parser({ now: lateUtc, timeZone: 'UTC' }).parse('today'), '2026-10-19');
+  expect.toEqual(parser({ now: lateUtc, timeZone: 'Asia/Tokyo' }).parse('today'), '2026-10-20');
+  expect.toEqual(parser({ now: lateUtc, timeZone: 'Asia/Tokyo' }).parse('tomorrow'), '2026-10-21');
+  
+  // 03:00 UTC is still the previous evening in Los Angeles
+  const earlyUtc = at('2026-10-19T03:00:00Z');
+  expect.toEqual(parser({ now: earlyUtc, timeZone: 'America/Los_Angeles' }).parse('today'), '2026-10-18');
+  expect.toEqual(parser({ now: earlyUtc, timeZone: 'America/Los_Angeles' }).parse('friday'), '2026-10-23');
+});
+
+suite.test('is unaffected by daylight saving changes', () => {
+  // US clocks go back on 2026-11-01
+  const beforeDst = parser({ now: at('2026-10-31T19:00:00Z'), timeZone: 'America/New_York' });
+  expect.toEqual(beforeDst.parse('tomorrow'), '2026-11-01');
+  expect.toEqual(beforeDst.parse('in 2 days'), '2026-11-02');
+});
+
+// Test errors
+suite.test('rejects expressions it does not understand', () => {
+  expect.toThrow(() => us.parse('whenever'), /Could not understand the date "whenever"/);
+  expect.toThrow(() => us.parse('next fortnight'), /YYYY-MM-DD/);
+  expect.toThrow(() => us.parse('in -3 days'), /Could not understand/);
+});
+
+suite.test('rejects empty and non-string input', () => {
+  expect.toThrow(() => us.parse(''), /non-empty string/);
+  expect.toThrow(() => us.parse('   '), /non-empty string/);
+  expect.toThrow(() => us.parse(null), /non-empty string/);
+});
+
+// Test locale helpers
+suite.test('detects the first day of the week', () => {
+  expect.toEqual(DateExpressionParser.getWeekStart('en-US'), 0);
+  expect.toEqual(DateExpressionParser.getWeekStart('en-GB'), 1);
+  expect.toEqual(DateExpressionParser.getWeekStart('de-DE'), 1);
+});
+
+suite.test('detects day-first numeric date order', () => {
+  expect.toBeFalsy(DateExpressionParser.isDayFirst('en-US'));
+  expect.toBeTruthy(DateExpressionParser.isDayFirst('en-GB'));
+  expect.toBeTruthy(DateExpressionParser.isDayFirst('de-DE'));
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
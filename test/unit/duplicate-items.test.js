@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Duplicating Items
+ *
+ * Tests duplicate_item for to-dos and projects against an in-memory stand-in
+ * for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+
+const suite = new TestSuite('Duplicate Items Unit Tests');
+
+const fakeThings = () => {
+  const things = FakeThings.app([
+    FakeThings.item({ id: 'p1', name: 'Sprint 12', class: 'project', tagNames: 'work' }),
+    FakeThings.item({ id: 'p2', name: 'Sprint 13', class: 'project' }),
+    FakeThings.item({ id: 'a1', name: 'Work', class: 'area' })
+  ]);
+  const project = things.projects.byId('p1');
+  project.toDos.push(things.seed(FakeThings.item({ id: 't1', name: 'Plan', notes: 'Agenda', tagNames: 'meeting' })));
+  project.toDos.push(things.seed(FakeThings.item({ id: 't2', name: 'Retro' })));
+  return things;
+};
+
+// Test todos
+suite.test('renames and relocates a duplicated todo, returning both IDs', () => {
+  const things = fakeThings();
+  
+  const result = TodoOperations.duplicate(things, { id: 't1', name: 'Plan next sprint', list_id: 'p2' });
+  
+  expect.toEqual(result.type, 'todo');
+  expect.toEqual(result.original.id, 't1');
+  expect.toEqual(result.original.name, 'Plan');
+  expect.toEqual(result.duplicate.name, 'Plan next sprint');
+  expect.toEqual(result.duplicate.notes, 'Agenda');
+  expect.toBeTruthy(result.duplicate.id !== 't1');
+  
+  const copy = things.toDos.byId(result.duplicate.id);
+  expect.toEqual(copy.project().id(), 'p2');
+  expect.toEqual(copy.tagNames(), 'meeting');
+  expect.toDeepEqual(things.projects.byId('p1').toDos().map(item => item.id()), ['t1', 't2']);
+});
+
+suite.test('keeps a duplicate next to the original without a destination', () => {
+  const things = fakeThings();
+  
+  const result = TodoOperations.duplicate(things, { id: 't2' });
+  
+  expect.toEqual(result.duplicate.name, 'Retro');
+  expect.toEqual(things.toDos.byId(result.duplicate.id).project().id(), 'p1');
+});
+
+// Test projects
+suite.test('duplicates a project with its todos into an area', () => {
+  const things = fakeThings();
+  
+  const result = TodoOperations.duplicate(things, { id: 'p1', name: 'Sprint 14', list_id: 'a1' });
+  
+  expect.toEqual(result.type, 'project');
+  expect.toEqual(result.original.name, 'Sprint 12');
+  expect.toEqual(result.duplicate.name, 'Sprint 14');
+  
+  const copy = things.projects.byId(result.duplicate.id);
+  expect.toEqual(copy.area().id(), 'a1');
+  expect.toEqual(copy.tagNames(), 'work');
+  expect.toDeepEqual(copy.toDos().map(item => item.name()), ['Plan', 'Retro']);
+});
+
+suite.test('fails for an unknown item', () => {
+  expect.toThrow(() => TodoOperations.duplicate(fakeThings(), { id: 'missing' }), 'not found');
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
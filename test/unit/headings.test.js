@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Headings
+ *
+ * Tests filing to-dos under headings through the URL scheme against an
+ * in-memory stand-in for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { takeDeferredCommands, takeWarnings } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Headings Unit Tests');
+
+const fakeThings = () => FakeThings.app([
+  FakeThings.item({ id: 'p1', name: 'Launch', class: 'project' }),
+  FakeThings.item({ id: 't9', name: 'Call editor' })
+]);
+
+suite.test('files a new todo under a heading through the URL scheme', () => {
+  takeDeferredCommands();
+  takeWarnings();
+  const things = fakeThings();
+  const todo = TodoOperations.add(things, {
+    name: 'Design flyer', list_id: 'p1', heading: ' Marketing ', url_scheme_enabled: true
+  });
+  
+  expect.toEqual(things.projects.byId('p1').toDos()[0].id(), todo.id);
+  expect.toDeepEqual(takeDeferredCommands(), [
+    { command: 'update', params: { id: todo.id, list_id: 'p1', heading: 'Marketing' } }
+  ]);
+  
+  const warnings = takeWarnings();
+  expect.toHaveLength(warnings, 1);
+  expect.toEqual(warnings[0].step, 'heading');
+  expect.toEqual(warnings[0].value, 'Marketing');
+  expect.toContain(warnings[0].reason, 'unverified');
+});
+
+suite.test('files a moved todo under a heading through the URL scheme', () => {
+  takeDeferredCommands();
+  const things = fakeThings();
+  TodoOperations.move(things, { id: 't9', list_id: 'p1', heading: 'Press', url_scheme_enabled: true });
+  
+  expect.toEqual(things.toDos.byId('t9').project().id(), 'p1');
+  expect.toDeepEqual(takeDeferredCommands(), [
+    { command: 'update', params: { id: 't9', list_id: 'p1', heading: 'Press' } }
+  ]);
+});
+
+suite.test('refuses a heading without the auth token before changing anything', () => {
+  const things = fakeThings();
+  
+  expect.toThrow(
+    () => TodoOperations.add(things, { name: 'Design flyer', list_id: 'p1', heading: 'Marketing' }),
+    'needs the Things URL scheme auth token'
+  );
+  expect.toThrow(
+    () => TodoOperations.move(things, { id: 't9', list_id: 'p1', heading: 'Press' }),
+    'needs the Things URL scheme auth token'
+  );
+  expect.toEqual(things.items.length, 2);
+  expect.toEqual(things.toDos.byId('t9').project(), null);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -28,10 +28,14 @@ suite.test('all expected tools are defined', () => {
     'add_todo', 'update_todo', 'get_todos',
     'add_project', 'update_project', 'get_projects',
     'get_inbox', 'get_today', 'get_anytime', 'get_upcoming', 'get_someday',
-    'get_logbook', 'get_trash',
+    'get_logbook', 'log_completed', 'get_trash',
     'search_todos', 'search_items', 'search_advanced',
     'get_recent', 'show_item', 'get_tags', 'get_tagged_items',
-    'get_areas'
+    'add_tag', 'update_tag', 'delete_tag', 'maintain_tags',
+    'get_areas', 'add_area', 'update_area',
+    'delete_todo', 'delete_project', 'delete_area',
+    'restore_from_trash', 'empty_trash', 'move_item', 'duplicate_item', 'update_matching',
+    'convert_to_project', 'convert_to_todo', 'merge_projects', 'things_json', 'batch'
   ];
   
   const toolNames = TOOL_DEFINITIONS.map(tool => tool.name);
@@ -53,7 +57,18 @@ suite.test('tool names follow consistent pattern', () => {
     /^update_\w+$/,  // update_todo, update_project  
     /^get_\w+$/,     // get_todos, get_inbox, etc.
     /^search_\w+$/,  // search_todos, search_items
-    /^show_\w+$/     // show_item
+    /^show_\w+$/,    // show_item
+    /^delete_\w+$/,  // delete_todo, delete_project, delete_area
+    /^restore_\w+$/, // restore_from_trash
+    /^empty_\w+$/,   // empty_trash
+    /^maintain_\w+$/, // maintain_tags
+    /^move_\w+$/,    // move_item
+    /^convert_\w+$/, // convert_to_project, convert_to_todo
+    /^merge_\w+$/,   // merge_projects
+    /^things_\w+$/,  // things_json
+    /^log_\w+$/,     // log_completed
+    /^batch$/,       // batch
+    /^duplicate_\w+$/ // duplicate_item
   ];
   
   TOOL_DEFINITIONS.forEach(tool => {
@@ -166,7 +181,7 @@ suite.test('all tools have informative descriptions', () => {
     expect.toBeFalsy(tool.description === tool.name);
     
     // Should contain key action words
-    const actionWords = ['add', 'create', 'update', 'modify', 'get', 'retrieve', 'search', 'find', 'delete', 'remove', 'show', 'display'];
+    const actionWords = ['add', 'create', 'update', 'modify', 'get', 'retrieve', 'search', 'find', 'delete', 'remove', 'show', 'display', 'restore', 'move', 'duplicate', 'convert', 'merge'];
     const hasActionWord = actionWords.some(word => 
       tool.description.toLowerCase().includes(word)
     );
@@ -236,7 +251,7 @@ suite.test('tool schemas are valid JSON Schema', () => {
 // Test tool count is reasonable
 suite.test('has reasonable number of tools', () => {
   expect.toBeTruthy(TOOL_DEFINITIONS.length >= 20);
-  expect.toBeTruthy(TOOL_DEFINITIONS.length <= 30);
+  expect.toBeTruthy(TOOL_DEFINITIONS.length <= 50);
 });
 
 // Test no duplicate tool names
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Moving Items
+ *
+ * Tests move_item for to-dos and projects against an in-memory stand-in for
+ * the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { LIST_IDS } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Move Items Unit Tests');
+
+const fakeThings = () => FakeThings.app([
+  FakeThings.item({ id: 'p1', name: 'Launch', class: 'project' }),
+  FakeThings.item({ id: 'p2', name: 'Garden', class: 'project' }),
+  FakeThings.item({ id: 'a1', name: 'Work', class: 'area' }),
+  FakeThings.item({ id: 't1', name: 'Book venue' })
+]);
+
+// Test moving todos
+suite.test('moves a todo into a project', () => {
+  const things = fakeThings();
+  
+  const result = TodoOperations.move(things, { id: 't1', list_title: 'launch' });
+  
+  expect.toEqual(result.type, 'todo');
+  expect.toDeepEqual(things.projects.byId('p1').toDos().map(item => item.id()), ['t1']);
+  expect.toHaveLength(things.moves, 0);
+});
+
+suite.test('moves a todo into an area', () => {
+  const things = fakeThings();
+  
+  TodoOperations.move(things, { id: 't1', list_id: 'a1' });
+  
+  expect.toEqual(things.toDos.byId('t1').area().id(), 'a1');
+  expect.toHaveLength(things.moves, 0);
+});
+
+suite.test('moves a todo to a built-in list', () => {
+  const things = fakeThings();
+  
+  TodoOperations.move(things, { id: 't1', list_id: LIST_IDS.SOMEDAY });
+  
+  expect.toDeepEqual(things.moves, [['t1', LIST_IDS.SOMEDAY]]);
+  expect.toDeepEqual(things.contents(LIST_IDS.SOMEDAY).map(item => item.id()), ['t1']);
+});
+
+suite.test('requires a destination for a todo', () => {
+  expect.toThrow(() => TodoOperations.move(fakeThings(), { id: 't1' }), 'A destination is required');
+});
+
+// Test moving projects
+suite.test('moves a project into an area and out again', () => {
+  const things = fakeThings();
+  
+  const moved = TodoOperations.move(things, { id: 'p1', list_id: 'a1' });
+  expect.toEqual(moved.type, 'project');
+  expect.toEqual(things.projects.byId('p1').area().id(), 'a1');
+  
+  TodoOperations.move(things, { id: 'p1', remove_from_area: true });
+  expect.toEqual(things.projects.byId('p1').area(), null);
+});
+
+suite.test('refuses to move a project into a project', () => {
+  const things = fakeThings();
+  
+  expect.toThrow(() => TodoOperations.move(things, { id: 'p1', list_id: 'p2' }), 'cannot be moved into another project');
+  expect.toHaveLength(things.projects.byId('p2').toDos(), 0);
+  expect.toHaveLength(things.moves, 0);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
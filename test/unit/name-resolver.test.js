@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Name Resolver
+ *
+ * Tests resolving project, area and list names in exact, case-insensitive
+ * and fuzzy tiers, and the errors for ambiguous or unknown names
+ */
+
+import { TestSuite, expect } from '../test-utils.js';
+import { matchByName, editDistance, resolveProjectByName } from '../../jxa/src/resolvers.js';
+import { resolveList, takeWarnings } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Name Resolver Unit Tests');
+
+// Stand-in for a JXA project, area or list: properties are read by calling them
+const fakeItem = (id, name, status = 'open') => ({
+  id: () => id,
+  name: () => name,
+  status: () => status
+});
+
+const candidate = (id, name, type = 'project') => ({ id, name, type, item: fakeItem(id, name) });
+
+const fakeThings = () => {
+  const home = fakeItem('r1', 'Home');
+  return {
+    projects: () => [
+      fakeItem('p1', 'Groceries'),
+      fakeItem('p2', 'Kitchen Renovation'),
+      fakeItem('p3', 'Bathroom Renovation'),
+      fakeItem('p4', 'Tax Return 2025', 'completed'),
+      fakeItem('p5', 'Home')
+    ],
+    areas: () => [home, fakeItem('r2', 'Work')],
+    // Areas are lists too
+    lists: () => [fakeItem('TMInboxListSource', 'Inbox'), home]
+  };
+};
+
+// Test tiers
+suite.test('prefers an exact match', () => {
+  const candidates = [candidate('p1', 'Work'), candidate('p2', 'work')];
+  expect.toEqual(matchByName(candidates, 'work').id, 'p2');
+});
+
+suite.test('ignores case, accents and surrounding spaces', () => {
+  const candidates = [candidate('p1', 'Café Plans'), candidate('p2', 'Groceries')];
+  
+  expect.toEqual(matchByName(candidates, 'groceries ').id, 'p2');
+  expect.toEqual(matchByName(candidates, 'CAFE PLANS').id, 'p1');
+});
+
+suite.test('falls back to partial names and typos', () => {
+  const candidates = [candidate('p1', 'Kitchen Renovation'), candidate('p2', 'Groceries')];
+  
+  expect.toEqual(matchByName(candidates, 'kitchen').id, 'p1');
+  expect.toEqual(matchByName(candidates, 'Grocereis').id, 'p2');
+});
+
+suite.test('warns when a name was only matched loosely', () => {
+  takeWarnings();
+  const things = fakeThings();
+  
+  expect.toEqual(resolveList(things, { list_title: 'Grocereis' }).list.id(), 'p1');
+  expect.toEqual(resolveList(things, { list_title: 'groceries' }).list.id(), 'p1');
+  expect.toDeepEqual(takeWarnings(), [{ step: 'list', reason: 'Matched "Groceries" loosely', value: 'Grocereis' }]);
+});
+
+suite.test('does not match very short names loosely', () => {
+  expect.toThrow(() => matchByName([candidate('p1', 'Ab')], 'Ac'), /not found/);
+});
+
+// Test errors
+suite.test('lists the candidates when a name is ambiguous', () => {
+  const candidates = [candidate('p1', 'Kitchen Renovation'), candidate('p2', 'Bathroom Renovation')];
+  
+  expect.toThrow(
+    () => matchByName(candidates, 'renovation', 'List'),
+    /List "renovation" is ambiguous\. Candidates: "Kitchen Renovation" \(project p1\), "Bathroom Renovation" \(project p2\)/
+  );
+});
+
+suite.test('suggests the closest names when nothing matches', () => {
+  const candidates = [candidate('p1', 'Groceries'), candidate('r1', 'Work', 'area')];
+  expect.toThrow(() => matchByName(candidates, 'Holiday', 'Area'), /Area "Holiday" not found\. Closest: /);
+  expect.toThrow(() => matchByName([], 'Holiday'), /Item "Holiday" not found\.$/);
+});
+
+suite.test('computes edit distances', () => {
+  expect.toEqual(editDistance('kitten', 'sitting'), 3);
+  expect.toEqual(editDistance('', 'abc'), 3);
+  expect.toEqual(editDistance('same', 'same'), 0);
+});
+
+// Test Things lookups
+suite.test('resolves list titles across projects, areas and lists', () => {
+  const things = fakeThings();
+  
+  expect.toEqual(resolveList(things, { list_title: 'groceries' }).list.id(), 'p1');
+  expect.toEqual(resolveList(things, { list_title: 'work' }).type, 'area');
+  expect.toEqual(resolveList(things, { list_title: 'Inbox' }).type, 'list');
+});
+
+suite.test('treats a project and an area with the same name as ambiguous', () => {
+  expect.toThrow(
+    () => resolveList(fakeThings(), { list_title: 'Home' }),
+    /"Home" \(project p5\), "Home" \(area r1\)/
+  );
+});
+
+suite.test('throws instead of falling back when a list title is unknown', () => {
+  expect.toThrow(() => resolveList(fakeThings(), { list_title: 'Holiday' }), /List "Holiday" not found/);
+});
+
+suite.test('ignores completed projects unless asked', () => {
+  const things = fakeThings();
+  
+  expect.toThrow(() => resolveProjectByName(things, 'Tax Return 2025'), /not found/);
+  expect.toEqual(resolveProjectByName(things, 'Tax Return 2025', true).id(), 'p4');
+  expect.toEqual(
+    resolveList(things, { list_title: 'tax return', include_completed_projects: true }).list.id(),
+    'p4'
+  );
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
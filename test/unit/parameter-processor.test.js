@@ -9,6 +9,7 @@
 
 import { TestSuite, expect } from '../test-utils.js';
 import { ParameterProcessor } from '../../server/utils.js';
+import { DateExpressionParser } from '../../server/date-parser.js';
 
 const suite = new TestSuite('ParameterProcessor Unit Tests');
 
@@ -31,6 +32,298 @@ suite.test('maps "deadline" to "due_date"', () => {
   expect.toBeFalsy(result.hasOwnProperty('deadline'));
 });
 
+suite.test('splits a reminder time off "when"', () => {
+  const result = ParameterProcessor.process({ when: '2026-10-20@18:00' });
+  
+  expect.toEqual(result.activation_date, '2026-10-20');
+  expect.toEqual(result.reminder_time, '18:00');
+});
+
+suite.test('normalizes 12-hour reminder times', () => {
+  const cases = [
+    { when: '2026-10-20@9am', expected: '09:00' },
+    { when: '2026-10-20@6:30pm', expected: '18:30' },
+    { when: '2026-10-20@6:30 PM', expected: '18:30' },
+    { when: '2026-10-20@12am', expected: '00:00' },
+    { when: '2026-10-20@12pm', expected: '12:00' },
+    { when: '2026-10-20@7:05', expected: '07:05' }
+  ];
+  
+  cases.forEach(({ when, expected }) => {
+    expect.toEqual(ParameterProcessor.process({ when }).reminder_time, expected, when);
+  });
+});
+
+suite.test('resolves "today" with a reminder to a date', () => {
+  const result = ParameterProcessor.process({ when: 'today@9am' });
+  
+  expect.toBeTruthy(/^\d{4}-\d{2}-\d{2}$/.test(result.activation_date));
+  expect.toEqual(result.reminder_time, '09:00');
+});
+
+suite.test('rejects invalid reminder times', () => {
+  const invalid = [
+    '2026-10-20@25:00',
+    '2026-10-20@13pm',
+    '2026-10-20@18:60',
+    '2026-10-20@soon',
+    '2026-10-20@',
+    '2026-10-20@9am@10am',
+    'next week@9am'
+  ];
+  
+  invalid.forEach(when => {
+    expect.toThrow(() => ParameterProcessor.process({ when }), when);
+  });
+});
+
+suite.test('leaves "when" without a time unchanged', () => {
+  const result = ParameterProcessor.process({ when: '2026-10-20' });
+  
+  expect.toEqual(result.activation_date, '2026-10-20');
+  expect.toBeFalsy(result.hasOwnProperty('reminder_time'));
+});
+
+// Test natural-language date resolution (Monday 2026-10-19)
+const dateParser = new DateExpressionParser({
+  now: () => new Date('2026-10-19T12:00:00Z'),
+  timeZone: 'UTC',
+  locale: 'en-US'
+});
+
+suite.test('resolves relative when and deadline expressions', () => {
+  const { params, resolvedDates } = ParameterProcessor.resolveDates(
+    { title: 'Report', when: 'in 1 day', deadline: 'next friday' },
+    dateParser
+  );
+  
+  expect.toEqual(params.when, '2026-10-20');
+  expect.toEqual(params.deadline, '2026-10-30');
+  expect.toEqual(params.title, 'Report');
+  expect.toDeepEqual(resolvedDates, {
+    when: { input: 'in 1 day', date: '2026-10-20' },
+    deadline: { input: 'next friday', date: '2026-10-30' }
+  });
+});
+
+suite.test('keeps the reminder time when resolving "when"', () => {
+  const { params } = ParameterProcessor.resolveDates({ when: 'in 3 days@6pm' }, dateParser);
+  expect.toEqual(params.when, '2026-10-22@6pm');
+  
+  const result = ParameterProcessor.process(params);
+  expect.toEqual(result.activation_date, '2026-10-22');
+  expect.toEqual(result.reminder_time, '18:00');
+});
+
+suite.test('leaves ISO dates and special values alone', () => {
+  const input = { when: '2026-10-20@18:00', deadline: '' };
+  const { params, resolvedDates } = ParameterProcessor.resolveDates(input, dateParser);
+  
+  expect.toDeepEqual(params, input);
+  expect.toDeepEqual(resolvedDates, {});
+  expect.toDeepEqual(ParameterProcessor.resolveDates({ deadline: 0 }, dateParser).params, { deadline: 0 });
+});
+
+suite.test('rejects ISO dates that do not exist', () => {
+  expect.toThrow(() => ParameterProcessor.resolveDates({ deadline: '2026-02-30' }, dateParser), 'Invalid date: 2026-02-30');
+  expect.toThrow(() => ParameterProcessor.resolveDates({ when: '2026-13-01@9am' }, dateParser), /^Error: when:|when: Invalid date/);
+  expect.toThrow(() => ParameterProcessor.process({ completion_date: '2026-04-31' }), 'not a valid date');
+});
+
+suite.test('passes symbolic when values through as lowercase keywords', () => {
+  ['today', 'Evening', 'TOMORROW', 'anytime', 'someday', 'clear'].forEach(when => {
+    const { params, resolvedDates } = ParameterProcessor.resolveDates({ when }, dateParser);
+    expect.toEqual(params.when, when.toLowerCase(), when);
+    expect.toDeepEqual(resolvedDates, {}, when);
+  });
+  
+  // deadline has no list to go to, so "today" is still a date there
+  expect.toEqual(ParameterProcessor.resolveDates({ deadline: 'today' }, dateParser).params.deadline, '2026-10-19');
+});
+
+suite.test('resolves "today" with a reminder against the configured now', () => {
+  const lateParser = new DateExpressionParser({
+    now: () => new Date('2026-10-19T23:30:00Z'),
+    timeZone: 'Pacific/Auckland',
+    locale: 'en-NZ'
+  });
+  const { params, resolvedDates } = ParameterProcessor.resolveDates({ when: 'Today@9am' }, lateParser);
+  
+  expect.toEqual(params.when, '2026-10-20@9am');
+  expect.toDeepEqual(resolvedDates.when, { input: 'Today@9am', date: '2026-10-20' });
+  expect.toEqual(ParameterProcessor.process(params).activation_date, '2026-10-20');
+});
+
+suite.test('keeps evening and tomorrow symbolic with a reminder time', () => {
+  const evening = ParameterProcessor.process({ when: 'evening@19:30' });
+  expect.toEqual(evening.activation_date, 'evening');
+  expect.toEqual(evening.reminder_time, '19:30');
+  
+  const tomorrow = ParameterProcessor.process({ when: 'tomorrow@8am' });
+  expect.toEqual(tomorrow.activation_date, 'tomorrow');
+  expect.toEqual(tomorrow.reminder_time, '08:00');
+});
+
+suite.test('rejects reminder times on anytime, someday and clear', () => {
+  ['anytime@9am', 'someday@9am', 'clear@9am'].forEach(when => {
+    expect.toThrow(() => ParameterProcessor.process({ when }), /cannot combine/, when);
+  });
+});
+
+suite.test('names the field when a date cannot be understood', () => {
+  expect.toThrow(() => ParameterProcessor.resolveDates({ deadline: 'whenever' }, dateParser), /^Error: deadline:|deadline: Could not understand/);
+});
+
+suite.test('maps "checklist_items" to "child_tasks"', () => {
+  const input = { checklist_items: ['Check syntax', 'Run tests'] };
+  const result = ParameterProcessor.process(input);
+  
+  expect.toDeepEqual(result.child_tasks, ['Check syntax', 'Run tests']);
+  expect.toBeFalsy(result.hasOwnProperty('checklist_items'));
+});
+
+suite.test('rejects checklist_items that are not strings', () => {
+  expect.toThrow(() => ParameterProcessor.process({ checklist_items: 'Run tests' }));
+  expect.toThrow(() => ParameterProcessor.process({ checklist_items: [{ title: 'Run tests' }] }));
+});
+
+suite.test('rejects add_tags, remove_tags and ids that are not string arrays', () => {
+  expect.toThrow(() => ParameterProcessor.process({ add_tags: 'work' }));
+  expect.toThrow(() => ParameterProcessor.process({ remove_tags: [1] }));
+  expect.toThrow(() => ParameterProcessor.process({ ids: 'abc' }));
+  
+  const result = ParameterProcessor.process({ ids: ['a', 'b'], add_tags: ['work'], remove_tags: [] });
+  expect.toDeepEqual(result.ids, ['a', 'b']);
+  expect.toDeepEqual(result.add_tags, ['work']);
+});
+
+suite.test('maps to-do objects in add_project todos like add_todo params', () => {
+  const result = ParameterProcessor.process({
+    title: 'Launch',
+    todos: [
+      'Book venue',
+      { title: 'Design flyer', when: '2026-10-20@9am', deadline: '2026-10-30', checklist_items: ['Draft'], heading: 'Marketing' }
+    ]
+  });
+  
+  expect.toEqual(result.todos[0], 'Book venue');
+  expect.toDeepEqual(result.todos[1], {
+    name: 'Design flyer',
+    activation_date: '2026-10-20',
+    reminder_time: '09:00',
+    due_date: '2026-10-30',
+    child_tasks: ['Draft'],
+    heading: 'Marketing'
+  });
+});
+
+suite.test('rejects malformed to-dos in add_project todos with their position', () => {
+  expect.toThrow(() => ParameterProcessor.process({ todos: 'Book venue' }), /todos must be an array/);
+  expect.toThrow(() => ParameterProcessor.process({ todos: ['ok', 3] }), /todos\[1\] must be a title or a to-do object/);
+  expect.toThrow(() => ParameterProcessor.process({ todos: [{ notes: 'x' }] }), /todos\[0\]\.title is required/);
+  expect.toThrow(() => ParameterProcessor.process({ todos: [{ title: 'x', tags: 'work' }] }), /todos\[0\]: tags must be an array/);
+});
+
+suite.test('resolves dates inside add_project todos', () => {
+  const { params, resolvedDates } = ParameterProcessor.resolveDates(
+    { title: 'Launch', todos: ['Book venue', { title: 'Flyer', deadline: 'next friday' }] },
+    dateParser
+  );
+  
+  expect.toEqual(params.todos[0], 'Book venue');
+  expect.toEqual(params.todos[1].deadline, '2026-10-30');
+  expect.toDeepEqual(resolvedDates, { 'todos[1].deadline': { input: 'next friday', date: '2026-10-30' } });
+  expect.toThrow(
+    () => ParameterProcessor.resolveDates({ todos: [{ title: 'x', when: 'whenever' }] }, dateParser),
+    /todos\[0\]\.when: Could not understand/
+  );
+});
+
+suite.test('accepts status values and rejects unknown or conflicting ones', () => {
+  expect.toEqual(ParameterProcessor.process({ status: 'open' }).status, 'open');
+  expect.toEqual(ParameterProcessor.process({ status: 'completed', completed: true }).status, 'completed');
+  expect.toThrow(() => ParameterProcessor.process({ status: 'done' }), /status must be one of open, completed, canceled/);
+  expect.toThrow(() => ParameterProcessor.process({ status: 'open', canceled: true }), /conflicts with canceled/);
+});
+
+suite.test('resolves and checks completion_date', () => {
+  const { params, resolvedDates } = ParameterProcessor.resolveDates({ completion_date: 'yesterday' }, dateParser);
+  expect.toEqual(params.completion_date, '2026-10-18');
+  expect.toDeepEqual(resolvedDates.completion_date, { input: 'yesterday', date: '2026-10-18' });
+  
+  expect.toEqual(ParameterProcessor.process({ status: 'completed', completion_date: '2026-01-05' }).completion_date, '2026-01-05');
+  expect.toThrow(() => ParameterProcessor.process({ completion_date: '5 Jan' }), /YYYY-MM-DD/);
+  expect.toThrow(() => ParameterProcessor.process({ status: 'open', completion_date: '2026-01-05' }), /reopening/);
+  expect.toThrow(() => ParameterProcessor.process({ completed: true, completion_date: '2999-01-01' }), /future/);
+});
+
+suite.test('validates update_matching filters and maps patches like updates', () => {
+  const result = ParameterProcessor.process({
+    filter: { tag: 'q3', deadline_before: '2026-10-31' },
+    patch: { when: 'someday', add_tags: ['later'] }
+  });
+  
+  expect.toDeepEqual(result.filter, { tag: 'q3', deadline_before: '2026-10-31' });
+  expect.toDeepEqual(result.patch, { activation_date: 'someday', add_tags: ['later'] });
+  
+  expect.toThrow(() => ParameterProcessor.process({ filter: {} }), /filter needs at least one of/);
+  expect.toThrow(() => ParameterProcessor.process({ filter: { project: 'Launch' } }), /filter\.project is not supported/);
+  expect.toThrow(() => ParameterProcessor.process({ filter: { status: 'done' } }), /filter\.status must be one of/);
+  expect.toThrow(() => ParameterProcessor.process({ patch: { title: 'Renamed' } }), /patch\.title is not supported/);
+  expect.toThrow(() => ParameterProcessor.process({ patch: { add_tags: 'later' } }), /patch: add_tags must be an array/);
+  expect.toThrow(() => ParameterProcessor.process({ patch: { heading: 'Later' } }), /patch\.heading needs/);
+});
+
+suite.test('resolves dates inside update_matching filters and patches', () => {
+  const { params, resolvedDates } = ParameterProcessor.resolveDates(
+    { filter: { deadline_before: 'end of month', tag: 'q3' }, patch: { deadline: 'next friday', when: 'someday' } },
+    dateParser
+  );
+  
+  expect.toEqual(params.filter.deadline_before, '2026-10-31');
+  expect.toEqual(params.filter.tag, 'q3');
+  expect.toEqual(params.patch.deadline, '2026-10-30');
+  expect.toDeepEqual(Object.keys(resolvedDates), ['filter.deadline_before', 'patch.deadline']);
+});
+
+suite.test('processes batch entries like the params of their tools', () => {
+  const result = ParameterProcessor.process({
+    entries: [
+      { operation: 'add_project', params: { title: 'Launch' } },
+      { operation: 'add_todo', params: { title: 'Book venue', list_id: '$0.id', when: '2026-10-20@9am' } },
+      { operation: 'get_inbox' }
+    ]
+  });
+  
+  expect.toDeepEqual(result.entries[1], {
+    operation: 'add_todo',
+    params: { name: 'Book venue', list_id: '$0.id', activation_date: '2026-10-20', reminder_time: '09:00' }
+  });
+  expect.toDeepEqual(result.entries[2], { operation: 'get_inbox', params: {} });
+  
+  expect.toThrow(() => ParameterProcessor.process({ entries: [] }), /non-empty array/);
+  expect.toThrow(() => ParameterProcessor.process({ entries: [{ params: {} }] }), /entries\[0\]\.operation is required/);
+  expect.toThrow(() => ParameterProcessor.process({ entries: [{ operation: 'batch' }] }), /cannot contain another batch/);
+  expect.toThrow(
+    () => ParameterProcessor.process({ entries: [{ operation: 'add_todo', params: { title: 'x', tags: 'work' } }] }),
+    /entries\[0\]: tags must be an array/
+  );
+  expect.toThrow(
+    () => ParameterProcessor.process({ entries: Array.from({ length: 51 }, () => ({ operation: 'get_inbox' })) }),
+    /at most 50/
+  );
+});
+
+suite.test('resolves dates inside batch entries', () => {
+  const { params, resolvedDates } = ParameterProcessor.resolveDates(
+    { entries: [{ operation: 'get_inbox' }, { operation: 'add_todo', params: { title: 'x', deadline: 'next friday' } }] },
+    dateParser
+  );
+  
+  expect.toEqual(params.entries[1].params.deadline, '2026-10-30');
+  expect.toDeepEqual(Object.keys(resolvedDates), ['entries[1].deadline']);
+});
+
 suite.test('preserves unmapped parameters', () => {
   const input = { name: 'Test Todo', notes: 'Test notes' };
   const result = ParameterProcessor.process(input);
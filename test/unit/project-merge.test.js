@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Project Merge
+ *
+ * Tests merging projects with merge_projects against an in-memory stand-in
+ * for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { ProjectOperations } from '../../jxa/src/projects.js';
+
+const suite = new TestSuite('Project Merge Unit Tests');
+
+const todo = (id, name, props = {}) => FakeThings.item({ id, name, ...props });
+
+// Application with a project(id, name, todos, props) helper for test setup
+const fakeThings = () => {
+  const things = FakeThings.app();
+  things.project = (id, name, todos = [], props = {}) => {
+    const project = things.seed(FakeThings.item({ id, name, class: 'project', ...props }));
+    todos.forEach(item => project.toDos.push(item));
+    return project;
+  };
+  return things;
+};
+
+const outline = project => project.toDos().map(item => item.name());
+
+// Test moving todos
+suite.test('moves open todos into the target', () => {
+  const things = fakeThings();
+  const target = things.project('p1', 'Launch', [todo('a1', 'Draft plan')]);
+  things.project('p2', 'Launch (copy)', [
+    todo('b1', 'Book venue'),
+    todo('b2', 'Design flyer'),
+    todo('b3', 'Call editor')
+  ]);
+  
+  const result = ProjectOperations.merge(things, { target_id: 'p1', source_ids: ['p2'] });
+  
+  expect.toDeepEqual(outline(target), ['Draft plan', 'Book venue', 'Design flyer', 'Call editor']);
+  expect.toEqual(result.movedTodos, 3);
+  expect.toDeepEqual(result.sources, [
+    {
+      id: 'p2',
+      name: 'Launch (copy)',
+      movedTodos: 3,
+      closedTodos: 0,
+      moved: [
+        { id: 'b1', name: 'Book venue', status: 'open' },
+        { id: 'b2', name: 'Design flyer', status: 'open' },
+        { id: 'b3', name: 'Call editor', status: 'open' }
+      ],
+      trashed: true
+    }
+  ]);
+  expect.toDeepEqual(things.deleted, ['p2']);
+});
+
+suite.test('moves completed and canceled todos along so they stay logged', () => {
+  const things = fakeThings();
+  const target = things.project('p1', 'Launch');
+  things.project('p2', 'Other', [
+    todo('b1', 'Done', { status: 'completed' }),
+    todo('b2', 'Dropped', { status: 'canceled' }),
+    todo('b3', 'Open')
+  ]);
+  
+  const result = ProjectOperations.merge(things, { target_id: 'p1', source_ids: ['p2'] });
+  
+  expect.toDeepEqual(outline(target), ['Done', 'Dropped', 'Open']);
+  expect.toEqual(target.toDos()[0].status(), 'completed');
+  expect.toEqual(result.movedTodos, 1);
+  expect.toEqual(result.sources[0].closedTodos, 2);
+  expect.toDeepEqual(result.sources[0].moved.map(item => [item.id, item.status]), [
+    ['b1', 'completed'], ['b2', 'canceled'], ['b3', 'open']
+  ]);
+  expect.toBeTruthy(result.sources[0].trashed);
+});
+
+// Test notes and tags
+suite.test('appends notes and combines tags', () => {
+  const things = fakeThings();
+  const target = things.project('p1', 'Launch', [], { notes: 'Goals', tagNames: 'work, Q4' });
+  things.project('p2', 'Launch 2', [], { notes: 'Budget', tagNames: 'q4, urgent' });
+  things.project('p3', 'Launch 3', [], { notes: '' });
+  
+  ProjectOperations.merge(things, { target_id: 'p1', source_ids: ['p2', 'p3'] });
+  
+  expect.toEqual(target.notes(), 'Goals\n\n--- Launch 2 ---\nBudget');
+  expect.toEqual(target.tagNames(), 'work, Q4, urgent');
+});
+
+// Test conflicts
+suite.test('reports titles that already exist in the target', () => {
+  const things = fakeThings();
+  things.project('p1', 'Launch', [todo('a1', 'Book venue')]);
+  things.project('p2', 'Other', [todo('b1', 'Book venue')]);
+  
+  const result = ProjectOperations.merge(things, { target_title: 'launch', source_titles: ['other'] });
+  
+  expect.toEqual(result.movedTodos, 1);
+  expect.toHaveLength(result.conflicts, 1);
+  expect.toEqual(result.conflicts[0].id, 'b1');
+  expect.toContain(result.conflicts[0].reason, 'already in the target');
+});
+
+suite.test('keeps a source whose todos could not all be moved', () => {
+  const things = fakeThings();
+  things.project('p1', 'Launch');
+  const stuck = todo('b1', 'Stuck');
+  things.project('p2', 'Other', [stuck]);
+  Object.defineProperty(stuck, 'project', { get: () => () => null, set: () => { throw new Error('locked'); } });
+  
+  const result = ProjectOperations.merge(things, { target_id: 'p1', source_ids: ['p2'] });
+  
+  expect.toHaveLength(things.deleted, 0);
+  expect.toBeFalsy(result.sources[0].trashed);
+  expect.toDeepEqual(result.sources[0].moved, []);
+  expect.toDeepEqual(result.conflicts.map(conflict => conflict.reason), [
+    'Could not be moved: locked',
+    'Kept out of the Trash, 1 to-do(s) could not be moved'
+  ]);
+});
+
+// Test validation
+suite.test('requires a target and sources that differ from it', () => {
+  const things = fakeThings();
+  things.project('p1', 'Launch');
+  
+  expect.toThrow(() => ProjectOperations.merge(things, { source_ids: ['p1'] }), /A target is required/);
+  expect.toThrow(() => ProjectOperations.merge(things, { target_id: 'p1' }), /At least one source/);
+  expect.toThrow(() => ProjectOperations.merge(things, { target_id: 'p1', source_titles: ['Launch'] }), /into itself/);
+  expect.toThrow(() => ProjectOperations.merge(things, { target_id: 'p1', source_ids: ['p9'] }), /Project with id p9 not found/);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Project To-dos
+ *
+ * Tests creating a project with titles and full to-do objects in add_project's
+ * todos against an in-memory stand-in for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { ProjectOperations } from '../../jxa/src/projects.js';
+import { takeWarnings, takeDeferredCommands } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Project To-dos Unit Tests');
+
+const outline = project => project.toDos().map(item => item.name());
+
+suite.test('creates titles and to-do objects in order', () => {
+  const things = FakeThings.app();
+  const result = ProjectOperations.add(things, {
+    name: 'Launch',
+    todos: ['Book venue', { name: 'Design flyer', notes: 'A5', due_date: '2026-10-30', child_tasks: ['Sketch'] }]
+  });
+  
+  const project = things.projects.byId(result.id);
+  expect.toDeepEqual(outline(project), ['Book venue', 'Design flyer']);
+  
+  const flyer = project.toDos()[1];
+  expect.toEqual(flyer.notes(), 'A5\n\nChecklist:\n- [ ] Sketch');
+  expect.toEqual(flyer.dueDate().getDate(), 30);
+});
+
+suite.test('hands a project with headings to the URL scheme json command', () => {
+  takeDeferredCommands();
+  const things = FakeThings.app();
+  const result = ProjectOperations.add(things, {
+    name: 'Launch',
+    due_date: '2026-11-01',
+    todos: [
+      { name: 'Design flyer', heading: 'Marketing', notes: 'A5' },
+      { name: 'Call editor', heading: 'Press', activation_date: '2026-10-20', reminder_time: '09:00' },
+      'Book venue',
+      { name: 'Send invites', heading: 'Marketing', child_tasks: ['Family'] }
+    ]
+  });
+  
+  expect.toDeepEqual(result, { id: null, name: 'Launch', pending: true, headings: ['Marketing', 'Press'], todos: 4 });
+  expect.toThrow(() => things.projects.byId('p1'), 'Not found');
+  
+  const [command] = takeDeferredCommands();
+  expect.toEqual(command.command, 'json');
+  const [project] = command.params.data;
+  expect.toDeepEqual(project.attributes.deadline, '2026-11-01');
+  expect.toDeepEqual(project.attributes.items.map(item => `${item.type}: ${item.attributes.title}`), [
+    'to-do: Book venue', 'heading: Marketing', 'to-do: Design flyer', 'to-do: Send invites',
+    'heading: Press', 'to-do: Call editor'
+  ]);
+  expect.toEqual(project.attributes.items[5].attributes.when, '2026-10-20@09:00');
+  expect.toDeepEqual(project.attributes.items[3].attributes['checklist-items'], [
+    { type: 'checklist-item', attributes: { title: 'Family' } }
+  ]);
+});
+
+suite.test('reports a to-do that fails and creates the rest', () => {
+  takeWarnings();
+  const things = FakeThings.app();
+  const result = ProjectOperations.add(things, {
+    name: 'Launch',
+    todos: ['First', { name: 'Remind me', activation_date: '2026-10-20', reminder_time: '09:00' }, 'Last']
+  });
+  
+  expect.toDeepEqual(outline(things.projects.byId(result.id)), ['First', 'Last']);
+  
+  const [warning] = takeWarnings().filter(entry => entry.step === 'todos');
+  expect.toEqual(warning.value, 'Remind me');
+  expect.toContain(warning.reason, 'To-do 2 could not be created');
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
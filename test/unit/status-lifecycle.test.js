@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Status Lifecycle
+ *
+ * Tests reopening, completing with a backdated completion date and logging
+ * completed items against an in-memory stand-in for the Things application
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { ProjectOperations } from '../../jxa/src/projects.js';
+import { ListOperations } from '../../jxa/src/lists.js';
+import { LIST_IDS } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Status Lifecycle Unit Tests');
+
+suite.test('completes a todo and backdates the completion', () => {
+  const todo = FakeThings.item({ id: 't1', name: 'Call Sam' });
+  const result = TodoOperations.update(FakeThings.app([todo]), {
+    id: 't1', status: 'completed', completion_date: '2026-10-18'
+  });
+  
+  expect.toEqual(result.status, 'completed');
+  expect.toEqual(todo.completionDate().getDate(), 18);
+  expect.toEqual(todo.completionDate().getHours(), 0);
+});
+
+suite.test('backdates a cancellation and an item that is already completed', () => {
+  const canceled = FakeThings.item({ id: 't1', name: 'Old idea' });
+  const completed = FakeThings.item({ id: 't2', name: 'Done', status: 'completed' });
+  const things = FakeThings.app([canceled, completed]);
+  
+  TodoOperations.update(things, { id: 't1', status: 'canceled', completion_date: '2026-10-17' });
+  expect.toEqual(canceled.cancellationDate().getDate(), 17);
+  
+  TodoOperations.update(things, { id: 't2', completion_date: '2026-10-16' });
+  expect.toEqual(completed.status(), 'completed');
+  expect.toEqual(completed.completionDate().getDate(), 16);
+});
+
+suite.test('reopens completed and canceled items', () => {
+  const todo = FakeThings.item({ id: 't1', name: 'Call Sam', status: 'completed' });
+  const project = FakeThings.item({ id: 'p1', name: 'Launch', status: 'canceled', class: 'project' });
+  const things = FakeThings.app([todo, project]);
+  
+  expect.toEqual(TodoOperations.update(things, { id: 't1', status: 'open' }).status, 'open');
+  expect.toEqual(ProjectOperations.update(things, { id: 'p1', status: 'open' }).status, 'open');
+  expect.toEqual(todo.completionDate(), null);
+});
+
+suite.test('refuses to reopen a todo inside a closed project', () => {
+  const project = FakeThings.item({ id: 'p1', name: 'Launch', status: 'completed', class: 'project' });
+  const todo = FakeThings.item({ id: 't1', name: 'Call Sam', status: 'completed', project });
+  const things = FakeThings.app([todo, project]);
+  
+  expect.toThrow(
+    () => TodoOperations.update(things, { id: 't1', status: 'open', add_tags: ['work'] }),
+    'Reopen project "Launch" first, it is completed'
+  );
+  expect.toEqual(todo.status(), 'completed');
+});
+
+suite.test('refuses a completion date for an item that stays open', () => {
+  const todo = FakeThings.item({ id: 't1', name: 'Call Sam' });
+  
+  expect.toThrow(
+    () => TodoOperations.update(FakeThings.app([todo]), { id: 't1', completion_date: '2026-10-18' }),
+    'completion_date needs a completed or canceled item'
+  );
+});
+
+suite.test('logs completed items and reports how many moved', () => {
+  const logbook = [FakeThings.item({ id: 't1', status: 'completed' })];
+  const things = {
+    lists: { byId: id => ({ toDos: () => (id === LIST_IDS.LOGBOOK ? logbook : []) }) },
+    logCompletedNow: () => logbook.push(FakeThings.item({ id: 't2' }), FakeThings.item({ id: 't3' }))
+  };
+  
+  expect.toDeepEqual(ListOperations.logCompleted(things, {}), { logged: 2 });
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
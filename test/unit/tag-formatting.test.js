@@ -8,6 +8,7 @@
  */
 
 import { TestSuite, expect } from '../test-utils.js';
+import { editTags } from '../../jxa/src/utils.js';
 
 const suite = new TestSuite('Tag Formatting Unit Tests');
 
@@ -171,5 +172,31 @@ suite.test('matches Things 3 tag behavior', () => {
   expect.toEqual(formatTags(['first', 'second']), 'first, second');
 });
 
+// Test incremental tag edits (add_tags / remove_tags)
+suite.test('adds tags after the current ones', () => {
+  expect.toDeepEqual(editTags(['work'], ['urgent', 'home']), ['work', 'urgent', 'home']);
+});
+
+suite.test('removes tags regardless of case', () => {
+  expect.toDeepEqual(editTags(['Work', 'urgent'], [], ['work']), ['urgent']);
+  expect.toDeepEqual(editTags(['work'], [], ['missing']), ['work']);
+});
+
+suite.test('does not add a tag the item already has', () => {
+  expect.toDeepEqual(editTags(['Work'], ['work', 'WORK']), ['Work']);
+});
+
+suite.test('uses the spelling of an existing tag', () => {
+  expect.toDeepEqual(editTags([], ['errand', 'new tag'], [], ['Errand', 'Home']), ['Errand', 'new tag']);
+});
+
+suite.test('drops duplicates and blanks in the current tags', () => {
+  expect.toDeepEqual(editTags(['a', 'A', ' ', 'b'], []), ['a', 'b']);
+});
+
+suite.test('removal wins when a tag is both added and removed', () => {
+  expect.toDeepEqual(editTags(['work'], ['urgent'], ['Urgent']), ['work']);
+});
+
 // Run the tests
 suite.run().catch(() => process.exit(1));
\ No newline at end of file
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Tag Hierarchy
+ *
+ * Tests mapping nested tags and building the tag tree returned by
+ * get_tags with as_tree, using stand-ins for JXA tag objects
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { mapTag, buildTagTree } from '../../jxa/src/utils.js';
+import { TagOperations } from '../../jxa/src/tags.js';
+
+const suite = new TestSuite('Tag Hierarchy Unit Tests');
+
+// Minimal stand-in for a JXA tag: properties are read by calling them
+const fakeTag = (id, name, parent = null, shortcut = '') => ({
+  id: () => id,
+  name: () => name,
+  keyboardShortcut: () => shortcut,
+  parentTag: () => parent
+});
+
+const context = fakeTag('t1', 'Context');
+const office = fakeTag('t2', 'Office', context, 'o');
+const desk = fakeTag('t3', 'Desk', office);
+const errand = fakeTag('t4', 'errand');
+
+// Test mapping
+suite.test('maps a top-level tag without a parent', () => {
+  expect.toDeepEqual(mapTag(context), { id: 't1', name: 'Context', shortcut: '', parent: null });
+});
+
+suite.test('maps a nested tag with its parent and shortcut', () => {
+  expect.toDeepEqual(mapTag(office), {
+    id: 't2',
+    name: 'Office',
+    shortcut: 'o',
+    parent: { id: 't1', name: 'Context' }
+  });
+});
+
+suite.test('treats an unreadable parent as top level', () => {
+  const tag = { ...fakeTag('t9', 'Broken'), parentTag: () => { throw new Error('no parent'); } };
+  expect.toEqual(mapTag(tag).parent, null);
+});
+
+// Test tree building
+suite.test('nests tags under their parents', () => {
+  const tree = buildTagTree([context, office, desk, errand].map(mapTag));
+  
+  expect.toDeepEqual(tree, [
+    {
+      id: 't1', name: 'Context', shortcut: '', children: [
+        {
+          id: 't2', name: 'Office', shortcut: 'o', children: [
+            { id: 't3', name: 'Desk', shortcut: '', children: [] }
+          ]
+        }
+      ]
+    },
+    { id: 't4', name: 'errand', shortcut: '', children: [] }
+  ]);
+});
+
+suite.test('does not depend on parents being listed first', () => {
+  const tree = buildTagTree([desk, office, context].map(mapTag));
+  
+  expect.toHaveLength(tree, 1);
+  expect.toEqual(tree[0].children[0].children[0].name, 'Desk');
+});
+
+suite.test('keeps tags whose parent is missing at the top level', () => {
+  const tree = buildTagTree([mapTag(office)]);
+  expect.toEqual(tree[0].name, 'Office');
+});
+
+suite.test('returns an empty tree for no tags', () => {
+  expect.toDeepEqual(buildTagTree([]), []);
+});
+
+// Test reparenting guard
+suite.test('detects moving a tag under itself or a descendant', () => {
+  expect.toBeTruthy(TagOperations.isSelfOrDescendant(context, context));
+  expect.toBeTruthy(TagOperations.isSelfOrDescendant(context, desk));
+  expect.toBeFalsy(TagOperations.isSelfOrDescendant(office, context));
+  expect.toBeFalsy(TagOperations.isSelfOrDescendant(context, errand));
+});
+
+// Test tag matching for get_tagged_items
+suite.test('expands a tag to its child tags when asked', () => {
+  const allTags = [context, office, desk, errand].map(mapTag);
+  
+  const [withChildren] = TagOperations.expandTags(allTags, ['Context'], true);
+  expect.toDeepEqual([...withChildren.names], ['context', 'office', 'desk']);
+  
+  const [withoutChildren] = TagOperations.expandTags(allTags, ['Context'], false);
+  expect.toDeepEqual([...withoutChildren.names], ['context']);
+});
+
+suite.test('matches any, all or none of several tags', () => {
+  const groups = TagOperations.expandTags([], ['work', 'urgent'], false);
+  
+  expect.toDeepEqual(TagOperations.matchTags(['work', 'home'], groups, 'any'), ['work']);
+  expect.toEqual(TagOperations.matchTags(['home'], groups, 'any'), null);
+  
+  expect.toDeepEqual(TagOperations.matchTags(['urgent', 'work'], groups, 'all'), ['work', 'urgent']);
+  expect.toEqual(TagOperations.matchTags(['work'], groups, 'all'), null);
+  
+  expect.toDeepEqual(TagOperations.matchTags(['home'], groups, 'none'), []);
+  expect.toEqual(TagOperations.matchTags(['urgent'], groups, 'none'), null);
+});
+
+suite.test('reports the child tag that matched', () => {
+  const groups = TagOperations.expandTags([context, office, desk].map(mapTag), ['Context'], true);
+  expect.toDeepEqual(TagOperations.matchTags(['Desk', 'errand'], groups, 'any'), ['Desk']);
+});
+
+suite.test('matches tags ignoring case and accents', () => {
+  const groups = TagOperations.expandTags([context, office, desk].map(mapTag), ['errand', 'CONTEXT'], true);
+  expect.toDeepEqual(TagOperations.matchTags(['Errand', 'Desk'], groups, 'all'), ['Errand', 'Desk']);
+  
+  const cafe = TagOperations.expandTags([], ['cafe'], false);
+  expect.toDeepEqual(TagOperations.matchTags(['Café'], cafe, 'any'), ['Café']);
+});
+
+suite.test('finds tagged items by name and rejects unknown tags', () => {
+  // Collections read their properties for all items at once, as JXA allows
+  const collection = items => Object.assign(() => items, {
+    id: () => items.map(item => item.id()),
+    tagNames: () => items.map(item => item.tagNames()),
+    status: () => items.map(item => item.status())
+  });
+  const things = {
+    tags: () => [context, office, errand],
+    toDos: collection([FakeThings.item({ id: 'a1', name: 'Buy stamps', tagNames: 'Errand' })]),
+    projects: collection([]),
+    areas: collection([])
+  };
+  
+  expect.toHaveLength(TagOperations.getTaggedItems(things, { tag_title: 'errand' }), 1);
+  expect.toThrow(() => TagOperations.getTaggedItems(things, { tags: ['errand', 'Gym'] }), 'Tag "Gym" not found');
+});
+
+suite.test('rejects unknown match options', () => {
+  expect.toThrow(() => TagOperations.matchTags([], [], 'some'), /Invalid match option/);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Tag Maintenance
+ *
+ * Tests the usage report and tag merging of maintain_tags against an
+ * in-memory stand-in for the Things application object
+ */
+
+import { TestSuite, expect } from '../test-utils.js';
+import { TagOperations } from '../../jxa/src/tags.js';
+
+const suite = new TestSuite('Tag Maintenance Unit Tests');
+
+// In-memory item whose properties are read by calling them, like JXA.
+// Assigning tagNames mimics the JXA setter.
+const fakeItem = (id, name, tagNames, status = 'open') => {
+  let current = tagNames;
+  return {
+    id: () => id,
+    name: () => name,
+    status: () => status,
+    get tagNames() {
+      return () => current;
+    },
+    set tagNames(value) {
+      current = value;
+    }
+  };
+};
+
+// Element collection with bulk property reads (things.toDos.tagNames())
+const collection = (items) => {
+  const fn = () => items;
+  for (const prop of ['id', 'tagNames', 'status']) {
+    fn[prop] = () => items.map(item => item[prop]());
+  }
+  return fn;
+};
+
+const fakeTag = (id, name, parent = null) => ({
+  id: () => id,
+  name: () => name,
+  keyboardShortcut: () => '',
+  parentTag: () => parent
+});
+
+const fakeThings = () => {
+  const errand = fakeTag('g1', 'errand');
+  const errands = fakeTag('g2', 'errands');
+  const home = fakeTag('g3', 'home');
+  const unused = fakeTag('g4', 'someday-maybe');
+  const tags = [errand, errands, home, unused];
+  
+  const project = fakeItem('p1', 'Move house', 'errands, home');
+  const todos = [
+    fakeItem('a1', 'Buy milk', 'errand'),
+    fakeItem('a2', 'Post letter', 'errands', 'completed'),
+    fakeItem('a3', 'Return parcel', 'errand, errands', 'canceled'),
+    fakeItem('a4', 'Read', ''),
+    project
+  ];
+  const areas = [fakeItem('r1', 'Home', 'home, errands')];
+  
+  const things = {
+    tags: collection(tags),
+    toDos: collection(todos),
+    projects: collection([project]),
+    areas: collection(areas),
+    deleted: [],
+    delete(item) {
+      things.deleted.push(item.name());
+      tags.splice(tags.indexOf(item), 1);
+    }
+  };
+  return { things, todos, areas, project };
+};
+
+// Test report
+suite.test('counts open and completed todos, projects and areas per tag', () => {
+  const { things } = fakeThings();
+  const report = TagOperations.maintain(things, {});
+  const byName = Object.fromEntries(report.tags.map(tag => [tag.name, tag]));
+  
+  expect.toEqual(byName.errand.openTodos, 1);
+  expect.toEqual(byName.errand.completedTodos, 1);
+  expect.toEqual(byName.errand.total, 2);
+  
+  expect.toEqual(byName.errands.openTodos, 0);
+  expect.toEqual(byName.errands.completedTodos, 2);
+  expect.toEqual(byName.errands.projects, 1);
+  expect.toEqual(byName.errands.areas, 1);
+  expect.toEqual(byName.errands.total, 4);
+  
+  expect.toEqual(byName.home.projects, 1);
+  expect.toEqual(byName.home.areas, 1);
+});
+
+suite.test('does not count a project twice', () => {
+  const { things } = fakeThings();
+  const home = TagOperations.report(things).tags.find(tag => tag.name === 'home');
+  expect.toEqual(home.openTodos, 0);
+  expect.toEqual(home.projects, 1);
+});
+
+suite.test('lists tags that nothing uses', () => {
+  const { things } = fakeThings();
+  expect.toDeepEqual(TagOperations.report(things).unused, ['someday-maybe']);
+});
+
+// Test merge
+suite.test('merges one tag into another and deletes it', () => {
+  const { things, todos, areas } = fakeThings();
+  const result = TagOperations.maintain(things, { action: 'merge', source_tag: 'errands', target_tag: 'errand' });
+  
+  expect.toDeepEqual(result.merged, { from: 'errands', into: 'errand' });
+  expect.toDeepEqual(result.updated, { todos: 2, projects: 1, areas: 1 });
+  expect.toDeepEqual(things.deleted, ['errands']);
+  
+  expect.toEqual(todos[1].tagNames(), 'errand');
+  // Already had the target tag, so it is not added twice
+  expect.toEqual(todos[2].tagNames(), 'errand');
+  expect.toEqual(todos[4].tagNames(), 'home, errand');
+  expect.toEqual(areas[0].tagNames(), 'home, errand');
+  // Untouched items keep their tags
+  expect.toEqual(todos[0].tagNames(), 'errand');
+});
+
+suite.test('rejects merging a tag into itself', () => {
+  const { things } = fakeThings();
+  expect.toThrow(
+    () => TagOperations.merge(things, { source_tag: 'errand', target_tag: 'errand' }),
+    /must be different/
+  );
+});
+
+suite.test('rejects merging a tag that has child tags', () => {
+  const { things } = fakeThings();
+  const parent = things.tags().find(tag => tag.name() === 'home');
+  things.tags().push(fakeTag('g5', 'garden', parent));
+  
+  expect.toThrow(
+    () => TagOperations.merge(things, { source_tag: 'home', target_tag: 'errand' }),
+    /child tags \(garden\)/
+  );
+  expect.toHaveLength(things.deleted, 0);
+});
+
+suite.test('requires both tags and known actions', () => {
+  const { things } = fakeThings();
+  expect.toThrow(() => TagOperations.maintain(things, { action: 'merge', source_tag: 'errand' }), /source_tag and target_tag/);
+  expect.toThrow(() => TagOperations.maintain(things, { action: 'merge', source_tag: 'nope', target_tag: 'errand' }), /Tag "nope" not found/);
+  expect.toThrow(() => TagOperations.maintain(things, { action: 'tidy' }), /Invalid action/);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Tag Resolver
+ *
+ * Tests matching tag names against existing tags, the unknown-tag policies
+ * and rejection of names Things cannot store
+ */
+
+import { TestSuite, expect } from '../test-utils.js';
+import { TagResolver, normalizeName, validateTagName } from '../../jxa/src/resolvers.js';
+
+const suite = new TestSuite('Tag Resolver Unit Tests');
+
+const EXISTING = ['Work', 'Café', 'errand', 'Context'];
+
+// Test normalization
+suite.test('normalizes case, accents and whitespace', () => {
+  expect.toEqual(normalizeName('  Work '), 'work');
+  expect.toEqual(normalizeName('Café'), 'cafe');
+  expect.toEqual(normalizeName('ÉLAN'), 'elan');
+  expect.toEqual(normalizeName('Größe'), 'große');
+});
+
+// Test matching
+suite.test('uses the spelling of existing tags', () => {
+  const { names, created } = new TagResolver(EXISTING).resolve(['work', 'cafe', 'ERRAND']);
+  
+  expect.toDeepEqual(names, ['Work', 'Café', 'errand']);
+  expect.toDeepEqual(created, []);
+});
+
+suite.test('drops duplicates that differ only in case or accents', () => {
+  const { names } = new TagResolver(EXISTING).resolve(['Work', 'work', 'Cafe', 'café']);
+  expect.toDeepEqual(names, ['Work', 'Café']);
+});
+
+suite.test('ignores empty names', () => {
+  expect.toDeepEqual(new TagResolver(EXISTING).resolve(['', '  ', 'work']).names, ['Work']);
+});
+
+// Test unknown-tag policies
+suite.test('create keeps unknown tags in input order', () => {
+  const result = new TagResolver(EXISTING, 'create').resolve(['new one', 'work', 'Other']);
+  
+  expect.toDeepEqual(result.names, ['new one', 'Work', 'Other']);
+  expect.toDeepEqual(result.created, ['new one', 'Other']);
+  expect.toDeepEqual(result.skipped, []);
+});
+
+suite.test('create is the default policy', () => {
+  expect.toDeepEqual(new TagResolver(EXISTING).resolve(['new']).names, ['new']);
+});
+
+suite.test('reject fails on unknown tags', () => {
+  const resolver = new TagResolver(EXISTING, 'reject');
+  
+  expect.toThrow(() => resolver.resolve(['work', 'wrok', 'misc']), /Unknown tag\(s\): wrok, misc/);
+  expect.toDeepEqual(resolver.resolve(['work']).names, ['Work']);
+});
+
+suite.test('warn skips unknown tags and reports them', () => {
+  const result = new TagResolver(EXISTING, 'warn').resolve(['work', 'wrok']);
+  
+  expect.toDeepEqual(result.names, ['Work']);
+  expect.toDeepEqual(result.created, []);
+  expect.toDeepEqual(result.skipped, ['wrok']);
+});
+
+suite.test('rejects unknown policies', () => {
+  expect.toThrow(() => new TagResolver(EXISTING, 'ignore'), /Invalid unknown tag policy/);
+});
+
+// Test separators
+suite.test('rejects tag names with separators', () => {
+  const resolver = new TagResolver(EXISTING);
+  
+  expect.toThrow(() => resolver.resolve(['home, garden']), /comma or line break/);
+  expect.toThrow(() => resolver.resolve(['two\nlines']), /comma or line break/);
+});
+
+suite.test('validates single tag names', () => {
+  expect.toEqual(validateTagName('  Office '), 'Office');
+  expect.toThrow(() => validateTagName(' '), /cannot be empty/);
+  expect.toThrow(() => validateTagName('a,b'), /comma/);
+  expect.toThrow(() => validateTagName(undefined), /is required/);
+  expect.toThrow(() => validateTagName(42), /must be a string/);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
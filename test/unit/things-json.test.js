@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Things JSON
+ *
+ * Tests validation of Things JSON payloads, their conversion to operations,
+ * and running them against an in-memory stand-in for the Things application
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { ThingsJSON } from '../../server/things-json.js';
+import { ParameterProcessor } from '../../server/utils.js';
+import { DateExpressionParser } from '../../server/date-parser.js';
+import { JSONImportOperations } from '../../jxa/src/json-import.js';
+import { takeDeferredCommands } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Things JSON Unit Tests');
+
+const toOperations = data => ThingsJSON.toOperations(data, item => ParameterProcessor.process(item));
+
+suite.test('rejects malformed payloads with the path of the problem', () => {
+  expect.toThrow(() => ThingsJSON.validate([]), 'non-empty array');
+  expect.toThrow(() => ThingsJSON.validate([{ type: 'area', attributes: { title: 'Home' } }]), 'data[0].type');
+  expect.toThrow(() => ThingsJSON.validate([{ type: 'to-do', attributes: {} }]), 'data[0].attributes.title is required');
+  expect.toThrow(
+    () => ThingsJSON.validate([{ type: 'to-do', operation: 'update', attributes: { title: 'x' } }]),
+    'data[0].id is required'
+  );
+  expect.toThrow(
+    () => ThingsJSON.validate([{ type: 'to-do', attributes: { title: 'x', completed: 'yes' } }]),
+    'data[0].attributes.completed must be a boolean'
+  );
+});
+
+suite.test('rejects unsupported attributes and nested updates', () => {
+  const project = items => [{ type: 'project', attributes: { title: 'Launch', items } }];
+  
+  expect.toThrow(
+    () => ThingsJSON.validate(project([{ type: 'to-do', attributes: { title: 'x', 'creation-date': '2026-01-01' } }])),
+    'data[0].items[0].attributes.creation-date is not supported'
+  );
+  expect.toThrow(
+    () => ThingsJSON.validate(project([{ type: 'to-do', operation: 'update', id: 't1', attributes: {} }])),
+    'data[0].items[0].operation must be create'
+  );
+  expect.toThrow(
+    () => ThingsJSON.validate(project([{ type: 'project', attributes: { title: 'Inner' } }])),
+    'data[0].items[0].type must be one of to-do, heading'
+  );
+});
+
+suite.test('resolves dates in nested items keyed by path', () => {
+  // Monday 2026-10-19
+  const parser = new DateExpressionParser({
+    now: () => new Date('2026-10-19T12:00:00Z'),
+    timeZone: 'UTC',
+    locale: 'en-US'
+  });
+  const { params, resolvedDates } = ParameterProcessor.resolveDates({
+    data: [{
+      type: 'project',
+      attributes: {
+        title: 'Launch',
+        deadline: 'in 3 days',
+        items: [
+          { type: 'to-do', attributes: { title: 'Draft', when: 'tomorrow' } },
+          { type: 'to-do', attributes: { title: 'Ship', when: 'in 2 days' } }
+        ]
+      }
+    }]
+  }, parser);
+  
+  expect.toEqual(params.data[0].attributes.deadline, '2026-10-22');
+  expect.toEqual(params.data[0].attributes.items[0].attributes.when, 'tomorrow');
+  expect.toEqual(params.data[0].attributes.items[1].attributes.when, '2026-10-21');
+  expect.toDeepEqual(Object.keys(resolvedDates), ['data[0].deadline', 'data[0].items[1].when']);
+  
+  expect.toThrow(
+    () => ParameterProcessor.resolveDates(
+      { data: [{ type: 'to-do', attributes: { title: 'x', when: 'whenever' } }] }, parser
+    ),
+    'data[0].attributes.when'
+  );
+});
+
+suite.test('converts items to operations with tool parameters', () => {
+  const [project, update] = toOperations([
+    {
+      type: 'project',
+      attributes: {
+        title: 'Launch',
+        area: 'Work',
+        items: [
+          { type: 'heading', attributes: { title: 'Follow-up', archived: true } },
+          {
+            type: 'to-do',
+            attributes: {
+              title: 'Draft',
+              when: '2026-10-20@9am',
+              'checklist-items': [
+                { type: 'checklist-item', attributes: { title: 'Outline', completed: true } },
+                { type: 'checklist-item', attributes: { title: 'Write' } }
+              ]
+            }
+          }
+        ]
+      }
+    },
+    { type: 'to-do', operation: 'update', id: 't9', attributes: { 'add-tags': ['launch'], list: 'Someday' } }
+  ]);
+  
+  expect.toEqual(project.position, 'data[0]');
+  expect.toEqual(project.params.name, 'Launch');
+  expect.toEqual(project.params.area_title, 'Work');
+  expect.toEqual(project.params.items, undefined);
+  
+  const [heading, todo] = project.items;
+  expect.toEqual(heading.position, 'data[0].items[0]');
+  expect.toDeepEqual(heading.params, { name: 'Follow-up', archived: true });
+  expect.toEqual(todo.params.activation_date, '2026-10-20');
+  expect.toEqual(todo.params.reminder_time, '09:00');
+  expect.toDeepEqual(todo.params.checklist, [{ title: 'Outline', completed: true }, { title: 'Write', completed: false }]);
+  expect.toEqual(todo.params.checklist_mode, 'replace');
+  
+  expect.toDeepEqual(update, {
+    position: 'data[1]',
+    type: 'to-do',
+    operation: 'update',
+    id: 't9',
+    params: { add_tags: ['launch'], list_title: 'Someday' }
+  });
+});
+
+suite.test('creates a project and todos and maps positions to IDs', () => {
+  const things = FakeThings.app();
+  const result = JSONImportOperations.run(things, {
+    data: toOperations([
+      {
+        type: 'project',
+        attributes: {
+          title: 'Launch',
+          items: [
+            { type: 'to-do', attributes: { title: 'Book venue' } },
+            { type: 'to-do', attributes: { title: 'Design flyer', completed: true } }
+          ]
+        }
+      },
+      { type: 'to-do', attributes: { title: 'Call editor', notes: 'Before Friday' } }
+    ])
+  });
+  
+  expect.toDeepEqual(result.errors, []);
+  expect.toDeepEqual(result.items.map(item => item.position), [
+    'data[0]', 'data[0].items[0]', 'data[0].items[1]', 'data[1]'
+  ]);
+  
+  const project = things.projects.byId(result.ids['data[0]']);
+  expect.toEqual(things.toDos.byId(result.ids['data[0].items[1]']).status(), 'completed');
+  expect.toDeepEqual(project.toDos().map(item => item.name()), ['Book venue', 'Design flyer']);
+  expect.toEqual(things.toDos.byId(result.ids['data[1]']).notes(), 'Before Friday');
+});
+
+suite.test('hands a new project with headings to the URL scheme json command', () => {
+  takeDeferredCommands();
+  const things = FakeThings.app();
+  const result = JSONImportOperations.run(things, {
+    data: toOperations([
+      {
+        type: 'project',
+        attributes: {
+          title: 'Launch',
+          items: [
+            { type: 'to-do', attributes: { title: 'Book venue' } },
+            { type: 'heading', attributes: { title: 'Marketing', archived: true } },
+            { type: 'to-do', attributes: { title: 'Design flyer', completed: true } }
+          ]
+        }
+      }
+    ])
+  });
+  
+  expect.toDeepEqual(result.errors, []);
+  expect.toDeepEqual(result.ids, {});
+  expect.toDeepEqual(result.items.map(item => [item.position, item.id, item.pending]), [
+    ['data[0]', null, true], ['data[0].items[0]', null, true],
+    ['data[0].items[1]', null, true], ['data[0].items[2]', null, true]
+  ]);
+  expect.toThrow(() => things.projects.byId('p1'), 'Not found');
+  
+  const [command] = takeDeferredCommands();
+  expect.toEqual(command.command, 'json');
+  expect.toDeepEqual(command.params.data, [{
+    type: 'project',
+    attributes: {
+      title: 'Launch',
+      items: [
+        { type: 'to-do', attributes: { title: 'Book venue' } },
+        { type: 'heading', attributes: { title: 'Marketing', archived: true } },
+        { type: 'to-do', attributes: { title: 'Design flyer', completed: true } }
+      ]
+    }
+  }]);
+});
+
+suite.test('reports a failing item by position and runs the rest', () => {
+  const things = FakeThings.app();
+  const result = JSONImportOperations.run(things, {
+    data: toOperations([
+      { type: 'to-do', operation: 'update', id: 'missing', attributes: { title: 'Renamed' } },
+      { type: 'to-do', attributes: { title: 'Still created' } }
+    ])
+  });
+  
+  expect.toEqual(result.errors.length, 1);
+  expect.toEqual(result.errors[0].position, 'data[0]');
+  expect.toEqual(things.toDos.byId(result.ids['data[1]']).name(), 'Still created');
+  expect.toEqual(result.ids['data[0]'], undefined);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Trash
+ *
+ * Tests deleting items and emptying the Trash against an in-memory stand-in
+ * for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { ListOperations } from '../../jxa/src/lists.js';
+import { AreaOperations } from '../../jxa/src/areas.js';
+import { LIST_IDS } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Trash Unit Tests');
+
+// Test deleting
+suite.test('deletes a todo', () => {
+  const things = FakeThings.app([FakeThings.item({ id: 't1', name: 'Call Sam' })]);
+  
+  const result = TodoOperations.delete(things, { id: 't1' });
+  
+  expect.toEqual(result.item.name, 'Call Sam');
+  expect.toDeepEqual(things.deleted, ['t1']);
+});
+
+suite.test('refuses to delete a project as a todo', () => {
+  const project = FakeThings.item({ id: 'p1', name: 'Launch', class: 'project' });
+  const things = FakeThings.app([project]);
+  project.toDos.push(things.seed(FakeThings.item({ id: 't1', name: 'Book venue' })));
+  
+  expect.toThrow(() => TodoOperations.delete(things, { id: 'p1' }), 'Use delete_project');
+  expect.toHaveLength(things.deleted, 0);
+});
+
+suite.test('refuses to delete an area without saying what happens to its contents', () => {
+  const things = FakeThings.app();
+  things.areas.push(FakeThings.item({ id: 'a1', name: 'Work', class: 'area' }));
+  
+  expect.toThrow(() => AreaOperations.delete(things, { id: 'a1' }), 'contents option is required');
+  expect.toHaveLength(things.deleted, 0);
+});
+
+// Test restoring
+suite.test('restores todos into a project or area by assigning them', () => {
+  const project = FakeThings.item({ id: 'p1', name: 'Launch', class: 'project' });
+  const area = FakeThings.item({ id: 'a1', name: 'Work', class: 'area' });
+  const first = FakeThings.item({ id: 't1', name: 'Book venue' });
+  const second = FakeThings.item({ id: 't2', name: 'Send invites' });
+  const things = FakeThings.app([project, first, second]);
+  things.areas.push(area);
+  things.contents(LIST_IDS.TRASH).push(first, second);
+  
+  const intoProject = ListOperations.restoreFromTrash(things, { ids: ['t1'], list_id: 'p1' });
+  const intoArea = ListOperations.restoreFromTrash(things, { ids: ['t2'], list_id: 'a1' });
+  
+  expect.toDeepEqual(intoProject.errors, []);
+  expect.toDeepEqual(intoArea.errors, []);
+  expect.toEqual(first.project().id(), 'p1');
+  expect.toEqual(second.area().id(), 'a1');
+  expect.toHaveLength(things.moves, 0);
+});
+
+suite.test('restores todos to the Inbox by default', () => {
+  const things = FakeThings.app([FakeThings.item({ id: 't1', name: 'Call Sam' })]);
+  things.contents(LIST_IDS.TRASH).push(things.toDos.byId('t1'));
+  
+  const result = ListOperations.restoreFromTrash(things, { ids: ['t1', 't2'] });
+  
+  expect.toDeepEqual(things.moves, [['t1', LIST_IDS.INBOX]]);
+  expect.toEqual(result.restored[0].type, 'todo');
+  expect.toContain(result.errors[0].message, 'not in the Trash');
+});
+
+// Test emptying
+suite.test('previews the whole Trash even when counting older items', () => {
+  const things = FakeThings.app();
+  const trash = things.contents(LIST_IDS.TRASH);
+  const old = new Date();
+  old.setDate(old.getDate() - 40);
+  trash.push(
+    FakeThings.item({ id: 't1', name: 'Old idea', modificationDate: old }),
+    FakeThings.item({ id: 't2', name: 'Trashed today', modificationDate: new Date() })
+  );
+  let emptied = false;
+  things.emptyTrash = () => { emptied = true; };
+  
+  const preview = ListOperations.emptyTrash(things, { older_than_days: 30 });
+  
+  expect.toEqual(preview.emptied, false);
+  expect.toDeepEqual(preview.items.map(item => item.id), ['t1', 't2']);
+  expect.toDeepEqual(preview.olderThanDays, { days: 30, count: 1 });
+  expect.toContain(preview.notice, 'deletes all 2 item(s) in the Trash, not only the 1');
+  expect.toBeFalsy(emptied);
+  
+  const result = ListOperations.emptyTrash(things, { confirmation_token: preview.confirmationToken });
+  expect.toDeepEqual(result, { emptied: true, count: 2 });
+  expect.toBeTruthy(emptied);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Update Matching
+ *
+ * Tests filtering items and previewing and applying a patch to them against
+ * an in-memory stand-in for the Things application object
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { SearchOperations } from '../../jxa/src/search.js';
+import { LIST_IDS } from '../../jxa/src/utils.js';
+
+const suite = new TestSuite('Update Matching Unit Tests');
+
+const sample = () => [
+  FakeThings.item({ id: 't1', name: 'Plan offsite', tagNames: 'q3', dueDate: new Date(2026, 9, 20) }),
+  FakeThings.item({ id: 't2', name: 'Book hotel', tagNames: 'Q3, travel', notes: 'offsite venue' }),
+  FakeThings.item({ id: 't3', name: 'Old report', tagNames: 'q3', status: 'completed' }),
+  FakeThings.item({ id: 't4', name: 'Water plants' }),
+  FakeThings.item({ id: 'p1', name: 'Q3 review', tagNames: 'q3', class: 'project' })
+];
+
+const ids = items => items.map(item => item.id());
+
+suite.test('matches every given criterion, open items by default', () => {
+  const things = FakeThings.app(sample());
+  
+  expect.toDeepEqual(ids(SearchOperations.filterItems(things, { tag: 'q3' })), ['t1', 't2', 'p1']);
+  expect.toDeepEqual(ids(SearchOperations.filterItems(things, { tag: 'q3', type: 'todo' })), ['t1', 't2']);
+  expect.toDeepEqual(ids(SearchOperations.filterItems(things, { text: 'offsite' })), ['t1', 't2']);
+  expect.toDeepEqual(ids(SearchOperations.filterItems(things, { tag: 'q3', status: 'completed' })), ['t3']);
+  expect.toDeepEqual(
+    ids(SearchOperations.filterItems(things, { deadline_after: '2026-10-20', deadline_before: '2026-10-20' })),
+    ['t1']
+  );
+  expect.toDeepEqual(ids(SearchOperations.filterItems(things, { deadline_before: '2026-10-19' })), []);
+});
+
+suite.test('previews the matches and their changes without applying them', () => {
+  const items = sample();
+  const things = FakeThings.app(items);
+  const preview = TodoOperations.updateMatching(things, {
+    filter: { tag: 'q3', type: 'todo' },
+    patch: { add_tags: ['later'], remove_tags: ['Q3'], activation_date: 'someday' }
+  });
+  
+  expect.toEqual(preview.applied, false);
+  expect.toEqual(preview.count, 2);
+  expect.toDeepEqual(preview.items[1].changes.tags, { from: ['Q3', 'travel'], to: ['travel', 'later'] });
+  expect.toDeepEqual(preview.items[0].changes.when, { from: null, to: 'someday' });
+  expect.toBeTruthy(preview.confirmationToken);
+  expect.toEqual(items[0].tagNames(), 'q3');
+  expect.toDeepEqual(things.contents(LIST_IDS.SOMEDAY), []);
+});
+
+suite.test('applies the patch with the preview token', () => {
+  const items = sample();
+  const things = FakeThings.app(items);
+  const params = { filter: { tag: 'q3' }, patch: { add_tags: ['later'], activation_date: 'someday' } };
+  const { confirmationToken } = TodoOperations.updateMatching(things, params);
+  
+  const result = TodoOperations.updateMatching(things, { ...params, confirmation_token: confirmationToken });
+  
+  expect.toEqual(result.applied, true);
+  expect.toEqual(result.updated.length, 3);
+  expect.toDeepEqual(result.errors, []);
+  expect.toDeepEqual(ids(things.contents(LIST_IDS.SOMEDAY)), ['t1', 't2', 'p1']);
+  expect.toEqual(items[1].tagNames(), 'Q3, travel, later');
+  expect.toEqual(items[3].tagNames(), '');
+});
+
+suite.test('moves the matches to a list given in the patch', () => {
+  const things = FakeThings.app(sample());
+  const params = { filter: { text: 'offsite' }, patch: { list_id: LIST_IDS.ANYTIME } };
+  const preview = TodoOperations.updateMatching(things, params);
+  expect.toDeepEqual(preview.items[0].changes, { list: { to: 'Next' } });
+  
+  TodoOperations.updateMatching(things, { ...params, confirmation_token: preview.confirmationToken });
+  expect.toDeepEqual(ids(things.contents(LIST_IDS.ANYTIME)), ['t1', 't2']);
+});
+
+suite.test('only previews again when the token no longer matches', () => {
+  const things = FakeThings.app(sample());
+  const { confirmationToken } = TodoOperations.updateMatching(things, {
+    filter: { tag: 'q3' }, patch: { activation_date: 'someday' }
+  });
+  
+  const result = TodoOperations.updateMatching(things, {
+    filter: { tag: 'q3' }, patch: { activation_date: 'anytime' }, confirmation_token: confirmationToken
+  });
+  
+  expect.toEqual(result.applied, false);
+  expect.toEqual(result.tokenMismatch, true);
+  expect.toDeepEqual(things.contents(LIST_IDS.ANYTIME), []);
+});
+
+suite.test('requires a filter and a patch', () => {
+  const things = FakeThings.app(sample());
+  
+  expect.toThrow(() => TodoOperations.updateMatching(things, { patch: { activation_date: 'someday' } }), 'filter');
+  expect.toThrow(() => TodoOperations.updateMatching(things, { filter: { tag: 'q3' } }), 'patch');
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
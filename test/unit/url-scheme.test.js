@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the Things URL scheme builder
+ * 
+ * Tests URL construction and encoding for the add, update and json commands
+ * without opening anything
+ */
+
+import { TestSuite, expect } from '../test-utils.js';
+import { ThingsURLBuilder } from '../../server/url-scheme.js';
+
+const suite = new TestSuite('URL Scheme Builder Unit Tests');
+
+const withToken = new ThingsURLBuilder('secret-token');
+const withoutToken = new ThingsURLBuilder('');
+
+// Decode a things:/// URL back into its command and query for assertions
+const parse = (url) => {
+  const [base, query = ''] = url.split('?');
+  const params = {};
+  for (const pair of query.split('&').filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    params[decodeURIComponent(key)] = decodeURIComponent(value);
+  }
+  return { command: base.replace('things:///', ''), params };
+};
+
+// Test add command
+suite.test('builds an add URL from internal parameter names', () => {
+  const url = withoutToken.buildAdd({
+    name: 'Buy milk',
+    notes: 'Semi-skimmed',
+    activation_date: '2025-08-04',
+    due_date: '2025-08-05',
+    tags: ['errand', 'home'],
+    list_title: 'Groceries',
+    heading: 'Dairy'
+  });
+  
+  const { command, params } = parse(url);
+  expect.toEqual(command, 'add');
+  expect.toDeepEqual(params, {
+    title: 'Buy milk',
+    notes: 'Semi-skimmed',
+    when: '2025-08-04',
+    deadline: '2025-08-05',
+    list: 'Groceries',
+    heading: 'Dairy',
+    tags: 'errand,home'
+  });
+});
+
+suite.test('add does not need an auth token', () => {
+  const url = withoutToken.buildAdd({ name: 'No token needed' });
+  expect.toBeFalsy(url.includes('auth-token'));
+});
+
+suite.test('add joins checklist items with newlines', () => {
+  const url = withoutToken.buildAdd({ name: 'Pack', child_tasks: ['Passport', 'Charger'] });
+  
+  expect.toEqual(parse(url).params['checklist-items'], 'Passport\nCharger');
+  expect.toContain(url, 'checklist-items=Passport%0ACharger');
+});
+
+suite.test('add requires a name', () => {
+  expect.toThrow(() => withoutToken.buildAdd({ notes: 'No title' }));
+});
+
+// Test encoding
+suite.test('encodes spaces as %20 rather than +', () => {
+  const url = withoutToken.buildAdd({ name: 'Call Mom & Dad' });
+  
+  expect.toContain(url, 'title=Call%20Mom%20%26%20Dad');
+  expect.toBeFalsy(url.includes('+'));
+});
+
+suite.test('encodes unicode, quotes and reserved characters', () => {
+  const name = "Café «meeting» re: Q3? #1 = 100% it's \"done\"";
+  const url = withoutToken.buildAdd({ name });
+  
+  expect.toEqual(parse(url).params.title, name);
+  expect.toBeFalsy(/[\s"«»?#]/.test(url.split('?')[1]));
+});
+
+suite.test('skips null and undefined parameters', () => {
+  const url = withoutToken.buildAdd({ name: 'Test', notes: undefined, due_date: null });
+  expect.toDeepEqual(parse(url).params, { title: 'Test' });
+});
+
+// Test update command
+suite.test('builds an update URL with id and auth token', () => {
+  const url = withToken.buildUpdate({ id: 'abc123', name: 'Renamed', completed: true });
+  const { command, params } = parse(url);
+  
+  expect.toEqual(command, 'update');
+  expect.toEqual(params.id, 'abc123');
+  expect.toEqual(params['auth-token'], 'secret-token');
+  expect.toEqual(params.title, 'Renamed');
+  expect.toEqual(params.completed, 'true');
+});
+
+suite.test('update requires an auth token', () => {
+  expect.toThrow(() => withoutToken.buildUpdate({ id: 'abc123', name: 'Renamed' }), /auth token/);
+});
+
+suite.test('update requires an id', () => {
+  expect.toThrow(() => withToken.buildUpdate({ name: 'Renamed' }), /id is required/);
+});
+
+suite.test('update replaces or appends checklist items', () => {
+  const replace = parse(withToken.buildUpdate({ id: 'a', child_tasks: ['One'] })).params;
+  expect.toEqual(replace['checklist-items'], 'One');
+  
+  const append = parse(withToken.buildUpdate({ id: 'a', child_tasks: ['Two'], checklist_mode: 'append' })).params;
+  expect.toEqual(append['append-checklist-items'], 'Two');
+  expect.toBeFalsy(append.hasOwnProperty('checklist-items'));
+});
+
+suite.test('update can clear tags with an empty array', () => {
+  const url = withToken.buildUpdate({ id: 'a', tags: [] });
+  expect.toContain(url, 'tags=');
+  expect.toEqual(parse(url).params.tags, '');
+});
+
+suite.test('builds an update-project URL for reminders on projects', () => {
+  const { command, params } = parse(withToken.buildUpdateProject({
+    id: 'proj1',
+    activation_date: '2026-10-20@18:00'
+  }));
+  
+  expect.toEqual(command, 'update-project');
+  expect.toEqual(params.when, '2026-10-20@18:00');
+  expect.toEqual(params['auth-token'], 'secret-token');
+  expect.toThrow(() => withoutToken.buildUpdateProject({ id: 'proj1' }), /auth token/);
+});
+
+// Test json command
+suite.test('builds a json URL with encoded data', () => {
+  const items = [{ type: 'to-do', attributes: { title: 'From JSON' } }];
+  const { command, params } = parse(withoutToken.buildJson(items, { reveal: true }));
+  
+  expect.toEqual(command, 'json');
+  expect.toDeepEqual(JSON.parse(params.data), items);
+  expect.toEqual(params.reveal, 'true');
+  expect.toBeFalsy(params.hasOwnProperty('auth-token'));
+});
+
+suite.test('json attaches the auth token only for update operations', () => {
+  const items = [{ type: 'to-do', operation: 'update', id: 'abc', attributes: { title: 'X' } }];
+  
+  expect.toEqual(parse(withToken.buildJson(items)).params['auth-token'], 'secret-token');
+  expect.toThrow(() => withoutToken.buildJson(items), /auth token/);
+});
+
+suite.test('json rejects empty payloads', () => {
+  expect.toThrow(() => withToken.buildJson([]));
+  expect.toThrow(() => withToken.buildJson(null));
+});
+
+// Test dispatch
+suite.test('build dispatches by command name', () => {
+  expect.toEqual(parse(withToken.build('add', { name: 'A' })).command, 'add');
+  expect.toEqual(parse(withToken.build('update', { id: 'a' })).command, 'update');
+  expect.toEqual(parse(withToken.build('update-project', { id: 'a' })).command, 'update-project');
+  expect.toEqual(parse(withToken.build('json', { data: [{ type: 'to-do', attributes: {} }] })).command, 'json');
+  expect.toThrow(() => withToken.build('delete', {}), /Unsupported/);
+});
+
+suite.test('reports whether an auth token is configured', () => {
+  expect.toBeTruthy(withToken.hasAuthToken());
+  expect.toBeFalsy(withoutToken.hasAuthToken());
+  expect.toBeFalsy(new ThingsURLBuilder(undefined).hasAuthToken());
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Warnings
+ *
+ * Tests collecting warnings for steps that were skipped or only partly
+ * applied, and passing them through the JXA response envelope
+ */
+
+import { TestSuite, expect, FakeThings } from '../test-utils.js';
+import {
+  addWarning, takeWarnings, scheduleItem, writeChecklist, resolveNewTags, applyTagChanges
+} from '../../jxa/src/utils.js';
+import { TodoOperations } from '../../jxa/src/todos.js';
+import { ProjectOperations } from '../../jxa/src/projects.js';
+import { JXAExecutor } from '../../server/jxa-executor.js';
+
+const suite = new TestSuite('Warnings Unit Tests');
+
+// Minimal stand-in for a JXA todo with writable notes and tags
+const fakeTodo = (notes = '', tagNames = '') => {
+  const todo = { id: () => 't1' };
+  let currentNotes = notes;
+  let currentTags = tagNames;
+  Object.defineProperty(todo, 'notes', {
+    get: () => () => currentNotes,
+    set: value => { currentNotes = value; }
+  });
+  Object.defineProperty(todo, 'tagNames', {
+    get: () => () => currentTags,
+    set: value => { currentTags = value; }
+  });
+  return todo;
+};
+
+const fakeThings = (schedule = () => {}) => ({
+  schedule,
+  tags: () => [{ name: () => 'Work' }]
+});
+
+// Test collection
+suite.test('collects warnings and empties the list when taken', () => {
+  takeWarnings();
+  addWarning('heading', 'Not found', 'Shopping');
+  addWarning('when', 'Could not schedule');
+  
+  expect.toDeepEqual(takeWarnings(), [
+    { step: 'heading', reason: 'Not found', value: 'Shopping' },
+    { step: 'when', reason: 'Could not schedule' }
+  ]);
+  expect.toDeepEqual(takeWarnings(), []);
+});
+
+// Test steps that used to fail silently
+suite.test('warns when scheduling fails', () => {
+  takeWarnings();
+  scheduleItem(fakeThings(() => { throw new Error('read-only'); }), fakeTodo(), '2026-10-20');
+  
+  const [warning] = takeWarnings();
+  expect.toEqual(warning.step, 'when');
+  expect.toEqual(warning.value, '2026-10-20');
+  expect.toContain(warning.reason, 'read-only');
+});
+
+suite.test('does not warn when scheduling works', () => {
+  takeWarnings();
+  scheduleItem(fakeThings(), fakeTodo(), '2026-10-20');
+  expect.toHaveLength(takeWarnings(), 0);
+});
+
+suite.test('warns instead of failing when a new item cannot be moved to its when list', () => {
+  takeWarnings();
+  const things = FakeThings.app();
+  things.move = () => { throw new Error('locked'); };
+  
+  const todo = TodoOperations.add(things, { name: 'Learn piano', activation_date: 'someday' });
+  const project = ProjectOperations.add(things, { name: 'Garden', activation_date: 'someday' });
+  
+  expect.toEqual(things.toDos.byId(todo.id).name(), 'Learn piano');
+  expect.toEqual(things.projects.byId(project.id).name(), 'Garden');
+  const warnings = takeWarnings();
+  expect.toDeepEqual(warnings.map(warning => warning.step), ['when', 'when']);
+  expect.toContain(warnings[0].reason, 'Failed to move "Learn piano" to Someday: locked');
+  
+  // Updating an existing item still fails outright
+  expect.toThrow(() => TodoOperations.update(things, { id: todo.id, activation_date: 'someday' }), 'locked');
+});
+
+suite.test('warns when a checklist falls back to the notes', () => {
+  takeWarnings();
+  writeChecklist(fakeTodo('Body'), ['One', 'Two'], 'replace', false);
+  
+  expect.toDeepEqual(takeWarnings().map(w => [w.step, w.value]), [['checklist_items', ['One', 'Two']]]);
+});
+
+suite.test('does not warn when the checklist already lives in the notes', () => {
+  takeWarnings();
+  const todo = fakeTodo('Body\n\nChecklist:\n- [ ] One');
+  writeChecklist(todo, ['Two'], 'append', true);
+  expect.toHaveLength(takeWarnings(), 0);
+});
+
+suite.test('reports tags skipped by the warn policy', () => {
+  takeWarnings();
+  const things = fakeThings();
+  
+  resolveNewTags(things, { tags: ['work', 'wrok'], unknown_tag_policy: 'warn' });
+  applyTagChanges(things, fakeTodo('', 'Work'), { add_tags: ['misc'], unknown_tag_policy: 'warn' });
+  
+  expect.toDeepEqual(takeWarnings().map(w => [w.step, w.value]), [['tags', 'wrok'], ['tags', 'misc']]);
+});
+
+// Test the response envelope
+suite.test('passes warnings through the JXA response', () => {
+  const executor = new JXAExecutor();
+  const warnings = [{ step: 'area', reason: 'Not found', value: 'Home' }];
+  
+  const parsed = executor.parseResponse(JSON.stringify({ success: true, data: { id: 'x' }, warnings }));
+  expect.toDeepEqual(parsed.warnings, warnings);
+  expect.toDeepEqual(executor.parseResponse(JSON.stringify({ success: true, data: {} })).warnings, []);
+});
+
+// Run the tests
+suite.run().catch(() => process.exit(1));